@@ -0,0 +1,292 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Worker } from "worker_threads";
+import { generateLODs } from "./generate.js";
+import { formatDuration } from "./report.js";
+
+// generateLODs reads GLB only: a .gltf's external buffers aren't resolved
+const MODEL_EXTENSIONS = [".glb"];
+
+/**
+ * Default worker count: every core but the one running the batch
+ */
+export function defaultJobs() {
+  const cores = os.availableParallelism?.() ?? os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+function isGlob(pattern) {
+  return /[*?{]/.test(pattern);
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join("/");
+}
+
+/**
+ * Regular expression for a glob matched against a "/"-separated path:
+ * `*` and `?` stay within one segment, `**` spans any number of them and
+ * `{a,b}` matches either alternative.
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      source += "(?:";
+      braces++;
+    } else if (char === "}" && braces > 0) {
+      source += ")";
+      braces--;
+    } else if (char === "," && braces > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Model files under `dir`, relative to it, in a stable order
+ */
+function walk(dir, prefix = "") {
+  const files = [];
+  const entries = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const relative = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walk(dir, relative));
+    } else if (entry.isFile() && MODEL_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Expand files, directories and glob patterns into [{ input, relative }].
+ * `relative` is the path below the directory or the glob's static prefix,
+ * so the output mirrors the input folder structure. Throws on inputs that
+ * don't exist, globs matching nothing and inputs writing the same outputs.
+ */
+export function expandInputs(patterns) {
+  const files = [];
+  for (const pattern of patterns) {
+    if (isGlob(pattern)) {
+      const segments = toPosix(pattern).split("/");
+      const first = segments.findIndex(isGlob);
+      const base = segments.slice(0, first).join("/") || ".";
+      const matcher = globToRegExp(segments.slice(first).join("/"));
+      const matches = fs.existsSync(base) && fs.statSync(base).isDirectory()
+        ? walk(base).filter((relative) => matcher.test(toPosix(relative)))
+        : [];
+      if (matches.length === 0) throw new Error(`No model files match ${pattern}`);
+      files.push(...matches.map((relative) => ({ input: path.join(base, relative), relative })));
+      continue;
+    }
+
+    if (!fs.existsSync(pattern)) throw new Error(`No such file or directory: ${pattern}`);
+    if (fs.statSync(pattern).isDirectory()) {
+      const matches = walk(pattern);
+      if (matches.length === 0) throw new Error(`No model files in ${pattern}`);
+      files.push(...matches.map((relative) => ({ input: path.join(pattern, relative), relative })));
+    } else {
+      files.push({ input: pattern, relative: path.basename(pattern) });
+    }
+  }
+
+  // The same file reached through two patterns is processed once
+  const unique = new Map();
+  for (const file of files) {
+    const key = path.resolve(file.input);
+    if (!unique.has(key)) unique.set(key, file);
+  }
+
+  const outputs = new Map();
+  for (const file of unique.values()) {
+    const { dir, name } = path.parse(file.relative);
+    const output = path.join(dir, name);
+    if (outputs.has(output)) {
+      throw new Error(`${outputs.get(output)} and ${file.input} would write the same LOD files`);
+    }
+    outputs.set(output, file.input);
+  }
+  return [...unique.values()];
+}
+
+/**
+ * Output directory of one expanded input
+ */
+export function outputDirFor(file, outputDir) {
+  return path.join(outputDir, path.dirname(file.relative));
+}
+
+/**
+ * Whether the manifest and every level file are newer than the input and
+ * were generated with the same ratios, errors, border locking and
+ * compression. Cleanup passes aren't recorded, so changing only those
+ * needs --force.
+ */
+export function isUpToDate(input, outputDir, levels, original = {}) {
+  const baseName = path.basename(input, path.extname(input));
+  const manifestPath = path.join(outputDir, `${baseName}.lod.json`);
+  try {
+    const inputTime = fs.statSync(input).mtimeMs;
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+    if (fs.statSync(manifestPath).mtimeMs < inputTime) return false;
+    if (manifest.levels?.length !== levels.length + 1) return false;
+
+    return manifest.levels.every((level, i) => {
+      if (fs.statSync(path.join(outputDir, level.file)).mtimeMs < inputTime) return false;
+      const requested = i === 0 ? { ratio: 1, error: 0, ...original } : levels[i - 1];
+      return level.ratio === requested.ratio
+        && level.error === requested.error
+        && (level.lockBorder ?? false) === (requested.lockBorder ?? false)
+        && (level.compression ?? "none") === (requested.compress ?? "none");
+    });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generate one file's LODs quietly, resolving with { levels, duration,
+ * report }
+ */
+export async function runTask({ input, outputDir, levels, original }) {
+  const start = performance.now();
+  fs.mkdirSync(outputDir, { recursive: true });
+  const { manifest, report } = await generateLODs(input, outputDir, levels, { log: null, original });
+  return { levels: manifest.levels.length - 1, duration: Math.round(performance.now() - start), report };
+}
+
+/**
+ * Generate LODs for every file, `jobs` at a time on worker threads (in
+ * this thread when jobs is 1). A failing file is recorded and the batch
+ * goes on. Resolves with one { input, relative, status, error, duration,
+ * levels, report } per file, status being 'ok', 'failed' or 'skipped' and
+ * `report` the generateLODs report of generated files.
+ */
+export async function runBatch(files, outputDir, levels, options = {}) {
+  const { jobs = defaultJobs(), force = false, original = {}, onResult = null } = options;
+
+  const results = files.map((file) => ({
+    ...file,
+    outputDir: outputDirFor(file, outputDir),
+    status: "pending",
+    error: null,
+    duration: 0,
+    levels: 0,
+    report: null,
+  }));
+
+  const settle = (result, outcome) => {
+    Object.assign(result, outcome);
+    if (onResult) onResult(result);
+  };
+
+  const queue = [];
+  for (const result of results) {
+    if (!force && isUpToDate(result.input, result.outputDir, levels, original)) {
+      settle(result, { status: "skipped" });
+    } else {
+      queue.push(result);
+    }
+  }
+
+  const task = (result) => ({ input: result.input, outputDir: result.outputDir, levels, original });
+
+  if (jobs <= 1) {
+    for (const result of queue) {
+      try {
+        settle(result, { status: "ok", ...(await runTask(task(result))) });
+      } catch (error) {
+        settle(result, { status: "failed", error: error.message });
+      }
+    }
+    return results;
+  }
+
+  await new Promise((resolve) => {
+    let next = 0;
+    let running = 0;
+
+    const start = () => {
+      if (next >= queue.length) {
+        if (running === 0) resolve();
+        return;
+      }
+      running++;
+      const worker = new Worker(new URL("./lodWorker.js", import.meta.url));
+      let current = null;
+
+      const dispatch = () => {
+        if (next >= queue.length) {
+          current = null;
+          running--;
+          worker.terminate();
+          if (running === 0) resolve();
+          return;
+        }
+        current = queue[next++];
+        worker.postMessage(task(current));
+      };
+
+      worker.on("message", ({ ok, error, ...outcome }) => {
+        settle(current, ok ? { status: "ok", ...outcome } : { status: "failed", error });
+        dispatch();
+      });
+
+      // A crashed worker fails the file it was on and is replaced
+      const crash = (error) => {
+        if (!current) return;
+        const result = current;
+        current = null;
+        running--;
+        worker.removeAllListeners();
+        worker.terminate();
+        settle(result, { status: "failed", error: error.message });
+        start();
+      };
+      worker.on("error", crash);
+      worker.on("exit", (code) => crash(new Error(`Worker exited with code ${code}`)));
+
+      dispatch();
+    };
+
+    const count = Math.min(jobs, queue.length);
+    if (count === 0) resolve();
+    for (let i = 0; i < count; i++) start();
+  });
+
+  return results;
+}
+
+/**
+ * Per-file status table and totals
+ */
+export function formatSummary(results, elapsed) {
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const width = Math.max(...results.map((result) => toPosix(result.relative).length));
+  const lines = results.map((result) => {
+    const time = result.status === "skipped" ? "" : formatDuration(result.duration);
+    const detail = result.status === "ok"
+      ? `${result.levels} levels`
+      : result.status === "skipped" ? "up to date" : result.error;
+    return `  ${result.status.padEnd(8)}${time.padStart(7)}  ${toPosix(result.relative).padEnd(width)}  ${detail}`;
+  });
+  lines.push(`\n${count("ok")} generated, ${count("skipped")} skipped, ${count("failed")} failed in ${formatDuration(elapsed)}`);
+  return lines.join("\n");
+}
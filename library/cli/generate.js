@@ -0,0 +1,266 @@
+import { WebIO, Logger, getBounds } from "@gltf-transform/core";
+import { ALL_EXTENSIONS } from "@gltf-transform/extensions";
+import { simplify, weld, quantize, cloneDocument, dedup, instance, prune, meshopt, draco } from "@gltf-transform/functions";
+import { MeshoptSimplifier, MeshoptEncoder, MeshoptDecoder } from "meshoptimizer";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { LOD_MANIFEST_VERSION, suggestSwitchDistance } from "../core/lodManifest.js";
+import { OUTPUT_PASSES } from "./options.js";
+
+await Promise.all([MeshoptSimplifier.ready, MeshoptEncoder.ready, MeshoptDecoder.ready]);
+
+let dracoEncoder = null;
+
+/**
+ * Draco encoder module, loaded the first time a level asks for Draco
+ */
+function getDracoEncoder() {
+  if (!dracoEncoder) {
+    dracoEncoder = import("draco3dgltf").then(({ default: draco3d }) => draco3d.createEncoderModule());
+  }
+  return dracoEncoder;
+}
+
+/**
+ * Count rendered vertices, triangles and primitives, including every node
+ * instancing a mesh. GPU instances add geometry but not primitives, as each
+ * primitive stays one draw call.
+ */
+function countGeometry(document) {
+  const counts = { vertices: 0, triangles: 0, primitives: 0 };
+  for (const node of document.getRoot().listNodes()) {
+    const mesh = node.getMesh();
+    if (!mesh) continue;
+    const instances = node.getExtension("EXT_mesh_gpu_instancing")?.listAttributes()[0]?.getCount() ?? 1;
+    for (const primitive of mesh.listPrimitives()) {
+      const vertices = primitive.getAttribute("POSITION").getCount();
+      counts.vertices += vertices * instances;
+      counts.primitives++;
+      if (primitive.getMode() !== 4) continue; // TRIANGLES only
+      const indices = primitive.getIndices();
+      counts.triangles += Math.floor((indices ? indices.getCount() : vertices) / 3) * instances;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Cleanup passes and compression for one level's output options
+ */
+function outputTransforms(output) {
+  const transforms = [];
+  if (output.dedup) transforms.push(dedup());
+  if (output.instance) transforms.push(instance());
+  if (output.prune) transforms.push(prune());
+  if (output.compress === "meshopt") transforms.push(meshopt({ encoder: MeshoptEncoder, level: "medium" }));
+  if (output.compress === "draco") transforms.push(draco());
+  return transforms;
+}
+
+/**
+ * Short description of a level's output options for the log, e.g. "meshopt, dedup"
+ */
+function describeOutput(output) {
+  return [output.compress, ...OUTPUT_PASSES.filter((pass) => output[pass])]
+    .filter((part) => part && part !== "none")
+    .join(", ");
+}
+
+/**
+ * MeshoptSimplifier that records the largest error it reached, relative to
+ * the mesh extents like the requested `error`
+ */
+function trackingSimplifier() {
+  const simplifier = Object.create(MeshoptSimplifier);
+  simplifier.maxError = 0;
+  simplifier.simplify = (...args) => {
+    const result = MeshoptSimplifier.simplify(...args);
+    simplifier.maxError = Math.max(simplifier.maxError, result[1]);
+    return result;
+  };
+  return simplifier;
+}
+
+/**
+ * Bounding sphere of the default scene, used to suggest switch distances
+ */
+function getBoundingSphere(document) {
+  const root = document.getRoot();
+  const scene = root.getDefaultScene() || root.listScenes()[0];
+  const { min, max } = getBounds(scene);
+  const center = min.map((v, i) => (v + max[i]) / 2);
+  const radius = Math.hypot(...max.map((v, i) => (v - min[i]) / 2));
+  return { center, radius };
+}
+
+/**
+ * Largest mesh radius in world units. The simplifier error is a fraction of
+ * each mesh's radius, so this is what turns it into a world-space error.
+ */
+function getMeshRadius(document) {
+  let radius = 0;
+  for (const node of document.getRoot().listNodes()) {
+    if (!node.getMesh()) continue;
+    const { min, max } = getBounds(node);
+    radius = Math.max(radius, Math.hypot(...max.map((v, i) => (v - min[i]) / 2)));
+  }
+  return radius;
+}
+
+/**
+ * SRI digest the loader checks each level file against
+ */
+function integrityOf(buffer) {
+  return `sha384-${crypto.createHash('sha384').update(buffer).digest('base64')}`;
+}
+
+/**
+ * Generate LODs for a given GLB/GLTF file. `lodLevels` come from
+ * resolveLODOptions: [{ ratio, error, lockBorder }] per simplified level.
+ * Levels may also set `compress` ('none', 'meshopt', 'draco') and the
+ * `dedup`, `instance` and `prune` passes; `original` holds the same output
+ * options for LOD0, which is copied as is when it sets none of them.
+ * Progress lines go to `log`; batch runs pass null, which also keeps
+ * glTF-Transform's own info lines quiet.
+ *
+ * Resolves with the manifest and a report of what each level achieved:
+ * { input, name, duration, levels: [{ level, file, compression, vertices,
+ * triangles, primitives, bytes, requestedRatio, achievedRatio,
+ * requestedError, error, duration, ineffective }] }. `ineffective` levels
+ * have no fewer triangles than the level before them.
+ */
+export async function generateLODs(inputPath, outputDir, lodLevels, { log = console.log, original = {} } = {}) {
+  // Documents read by `io`, and their clones, log through its logger
+  const logger = new Logger(log ? Logger.Verbosity.INFO : Logger.Verbosity.WARN);
+  log ??= () => {};
+
+  // quantize() relies on KHR_mesh_quantization being registered for output
+  const io = new WebIO()
+    .setLogger(logger)
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({ "meshopt.encoder": MeshoptEncoder, "meshopt.decoder": MeshoptDecoder });
+  if ([original, ...lodLevels].some((output) => output.compress === "draco")) {
+    io.registerDependencies({ "draco3d.encoder": await getDracoEncoder() });
+  }
+
+  const start = performance.now();
+  const inputBuffer = fs.readFileSync(inputPath);
+  const document = await io.readBinary(inputBuffer);
+
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+
+  log(`Generating LODs for: ${baseName}`);
+
+  const boundingSphere = getBoundingSphere(document);
+  const meshRadius = getMeshRadius(document);
+  const levels = [];
+  const reportLevels = [];
+
+  const addReport = ({ counts, bytes, compression, requestedRatio, requestedError, error, since }) => {
+    const level = reportLevels.length;
+    const original = reportLevels[0]?.triangles ?? counts.triangles;
+    const previous = reportLevels[level - 1]?.triangles;
+    reportLevels.push({
+      level,
+      file: levels[level].file,
+      compression,
+      ...counts,
+      bytes,
+      requestedRatio,
+      achievedRatio: original > 0 ? counts.triangles / original : 1,
+      requestedError,
+      error,
+      duration: Math.round(performance.now() - since),
+      ineffective: previous !== undefined && counts.triangles >= previous,
+    });
+  };
+
+  // Write original as LOD0, re-encoded only for output options
+  const lod0Path = path.join(outputDir, `${baseName}_LOD0.glb`);
+  const originalTransforms = outputTransforms(original);
+  let lod0Buffer = inputBuffer;
+  let lod0Counts = countGeometry(document);
+  if (originalTransforms.length > 0) {
+    const clone = await cloneDocument(document);
+    await clone.transform(...originalTransforms);
+    lod0Buffer = await io.writeBinary(clone);
+    lod0Counts = countGeometry(clone);
+  }
+  fs.writeFileSync(lod0Path, lod0Buffer);
+  const lod0Compression = original.compress ?? "none";
+  levels.push({
+    file: path.basename(lod0Path),
+    ratio: 1,
+    error: 0,
+    triangles: lod0Counts.triangles,
+    bytes: lod0Buffer.byteLength,
+    distance: 0,
+    integrity: integrityOf(lod0Buffer),
+    ...(lod0Compression !== "none" ? { compression: lod0Compression } : {}),
+  });
+  addReport({
+    counts: lod0Counts,
+    bytes: lod0Buffer.byteLength,
+    compression: lod0Compression,
+    requestedRatio: 1,
+    requestedError: 0,
+    error: 0,
+    since: start,
+  });
+  log(`Saved LOD0${originalTransforms.length > 0 ? ` (${describeOutput(original)})` : ""} → ${lod0Path}`);
+
+  for (let i = 0; i < lodLevels.length; i++) {
+    const { ratio, error, lockBorder = false, compress = "none" } = lodLevels[i];
+    const levelStart = performance.now();
+    const clone = await cloneDocument(document);
+    const simplifier = trackingSimplifier();
+    const output = describeOutput(lodLevels[i]);
+
+    log(`→ Simplifying to ratio=${ratio}, error=${error}${lockBorder ? ", locked border" : ""}${output ? `, ${output}` : ""}...`);
+
+    // meshopt() quantizes on its own and Draco encodes float attributes
+    await clone.transform(
+      weld(),
+      ...(compress === "none" ? [quantize()] : []),
+      simplify({ simplifier, ratio, error, lockBorder }),
+      ...outputTransforms(lodLevels[i]),
+    );
+
+    const outBuffer = await io.writeBinary(clone);
+    const lodPath = path.join(outputDir, `${baseName}_LOD${i + 1}.glb`);
+    fs.writeFileSync(lodPath, outBuffer);
+    const counts = countGeometry(clone);
+    levels.push({
+      file: path.basename(lodPath),
+      ratio,
+      error,
+      triangles: counts.triangles,
+      bytes: outBuffer.byteLength,
+      distance: Number(suggestSwitchDistance(meshRadius, error).toFixed(2)),
+      integrity: integrityOf(outBuffer),
+      ...(lockBorder ? { lockBorder } : {}),
+      ...(compress !== "none" ? { compression: compress } : {}),
+    });
+    addReport({
+      counts,
+      bytes: outBuffer.byteLength,
+      compression: compress,
+      requestedRatio: ratio,
+      requestedError: error,
+      error: simplifier.maxError,
+      since: levelStart,
+    });
+    log(`✅ Saved LOD${i + 1} → ${lodPath}`);
+  }
+
+  // Manifest keeps file names, level count and distances in sync with the loader
+  const manifestPath = path.join(outputDir, `${baseName}.lod.json`);
+  const manifest = { version: LOD_MANIFEST_VERSION, name: baseName, boundingSphere, meshRadius, levels };
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  log(`Saved manifest → ${manifestPath}`);
+
+  log("All LODs generated successfully!");
+  const report = { input: inputPath, name: baseName, duration: Math.round(performance.now() - start), levels: reportLevels };
+  return { manifest, report };
+}
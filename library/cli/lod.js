@@ -1,74 +1,103 @@
 #!/usr/bin/env node
 
-import { WebIO } from "@gltf-transform/core";
-import { simplify, weld, quantize, cloneDocument } from "@gltf-transform/functions";
-import { MeshoptSimplifier } from "meshoptimizer";
 import fs from "fs";
-import path from "path";
-
-await MeshoptSimplifier.ready;
-
-const DEFAULT_LOD_LEVELS = [
-  { ratio: 0.3, error: 0.02 }, // Medium detail
-  { ratio: 0.1, error: 0.05 }, // Low detail
-];
-
-/**
- * Generate LODs for a given GLB/GLTF file
- * Usage: node generateLOD.js input.glb outputDir/
- */
-async function generateLODs(inputPath, outputDir, lodLevels = DEFAULT_LOD_LEVELS) {
-  const io = new WebIO();
-
-  const inputBuffer = fs.readFileSync(inputPath);
-  const document = await io.readBinary(inputBuffer);
-
-  const baseName = path.basename(inputPath, path.extname(inputPath));
-
-  console.log(`Generating LODs for: ${baseName}`);
-
-  // Write original as LOD0
-  const lod0Path = path.join(outputDir, `${baseName}_LOD0.glb`);
-  fs.writeFileSync(lod0Path, inputBuffer);
-  console.log(`Saved LOD0 → ${lod0Path}`);
-
-  for (let i = 0; i < lodLevels.length; i++) {
-    const { ratio, error } = lodLevels[i];
-    const clone = await cloneDocument(document);
-
-    console.log(`→ Simplifying to ratio=${ratio}, error=${error}...`);
-
-    await clone.transform(weld(), quantize(), simplify({ simplifier: MeshoptSimplifier, ratio, error }));
-
-    const outBuffer = await io.writeBinary(clone);
-    const lodPath = path.join(outputDir, `${baseName}_LOD${i + 1}.glb`);
-    fs.writeFileSync(lodPath, outBuffer);
-    console.log(`✅ Saved LOD${i + 1} → ${lodPath}`);
-  }
-
-  console.log("All LODs generated successfully!");
-}
-
+import { generateLODs } from "./generate.js";
+import { defaultJobs, expandInputs, formatSummary, isUpToDate, runBatch } from "./batch.js";
+import { USAGE, parseCLIArgs, resolveLODOptions } from "./options.js";
+import { formatLevelTable, listIneffectiveLevels, writeReport } from "./report.js";
 
 async function main () {
-  const [,, input, outputDir] = process.argv;
+  let args;
+  let options;
+  try {
+    args = parseCLIArgs(process.argv.slice(2));
+    if (args.values.help) {
+      console.log(USAGE);
+      return;
+    }
+    options = resolveLODOptions(args.values);
+  } catch (e) {
+    console.error(`Error: ${e.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
 
-  if (!input || !outputDir) {
+  const inputs = args.positionals.slice(0, -1);
+  const outputDir = args.positionals.at(-1);
+  if (inputs.length === 0) {
     console.error("Error: Missing required arguments.");
-    console.error("\nUsage: npx flow-lod <input.glb> <outputDir>");
+    console.error(`\n${USAGE}`);
     process.exit(1);
   }
 
+  let files;
   try {
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
-    await generateLODs(input, outputDir);
-
+    files = expandInputs(inputs);
   } catch (e) {
-    console.error(`\nAn error occurred: ${e.message}`);
+    console.error(`Error: ${e.message}`);
     process.exit(1);
   }
+
+  console.log(`Preset: ${options.preset}, levels: ${options.levels.map(({ ratio }) => ratio).join(", ")}`);
+
+  // A single file keeps the step-by-step log
+  if (files.length === 1 && inputs.length === 1 && files[0].input === inputs[0]) {
+    const [file] = files;
+    const result = { ...file, status: "skipped", error: null, duration: 0, report: null };
+    if (!options.force && isUpToDate(file.input, outputDir, options.levels, options.original)) {
+      console.log(`${file.input} is up to date, use --force to regenerate it`);
+    } else {
+      try {
+        if (!fs.existsSync(outputDir)) {
+          fs.mkdirSync(outputDir, { recursive: true });
+        }
+        const { report } = await generateLODs(file.input, outputDir, options.levels, { original: options.original });
+        Object.assign(result, { status: "ok", duration: report.duration, report });
+        console.log(`\n${formatLevelTable(report)}`);
+
+      } catch (e) {
+        console.error(`\nAn error occurred: ${e.message}`);
+        Object.assign(result, { status: "failed", error: e.message });
+        process.exitCode = 1;
+      }
+    }
+    finish([result], options);
+    return;
+  }
+
+  const jobs = Math.min(options.jobs ?? defaultJobs(), files.length);
+  console.log(`Processing ${files.length} ${files.length === 1 ? "file" : "files"} with ${jobs} ${jobs === 1 ? "job" : "jobs"}...`);
+
+  const start = performance.now();
+  const results = await runBatch(files, outputDir, options.levels, {
+    jobs,
+    force: options.force,
+    original: options.original,
+    onResult: ({ status, relative, error }) => {
+      if (status === "ok") console.log(`✅ ${relative}`);
+      else if (status === "failed") console.error(`❌ ${relative}: ${error}`);
+    },
+  });
+
+  for (const { report } of results) {
+    if (report) console.log(`\n${formatLevelTable(report)}`);
+  }
+  console.log(`\nSummary:\n${formatSummary(results, performance.now() - start)}`);
+  if (results.some(({ status }) => status === "failed")) process.exitCode = 1;
+  finish(results, options);
+}
+
+/**
+ * Flag levels that removed nothing and write --report
+ */
+function finish (results, options) {
+  const reports = results.filter(({ report }) => report).map(({ report }) => report);
+  for (const { input, file } of listIneffectiveLevels(reports)) {
+    console.warn(`⚠️  ${file} has no fewer triangles than the level before it (${input})`);
+  }
+  if (options.report) {
+    writeReport(options.report, results, options);
+    console.log(`Saved report → ${options.report}`);
+  }
 }
 
 main()
\ No newline at end of file
@@ -0,0 +1,14 @@
+import { parentPort } from "worker_threads";
+import { runTask } from "./batch.js";
+
+/**
+ * Batch worker: generates one file's LODs per message and replies with
+ * { ok, levels, duration } or { ok: false, error }
+ */
+parentPort.on("message", async (task) => {
+  try {
+    parentPort.postMessage({ ok: true, ...(await runTask(task)) });
+  } catch (error) {
+    parentPort.postMessage({ ok: false, error: error.message });
+  }
+});
@@ -0,0 +1,234 @@
+import fs from "fs";
+import { parseArgs } from "util";
+
+/**
+ * Named simplification presets. Each level keeps `ratio` of the original
+ * triangles, stopping early once the simplifier error (a fraction of the
+ * mesh radius) would exceed `error`.
+ */
+export const PRESETS = {
+  // Hero assets seen up close: gentle steps, one more level
+  quality: {
+    levels: [{ ratio: 0.5, error: 0.005 }, { ratio: 0.25, error: 0.01 }, { ratio: 0.1, error: 0.02 }],
+  },
+  balanced: {
+    levels: [{ ratio: 0.3, error: 0.02 }, { ratio: 0.1, error: 0.05 }],
+  },
+  // Props and background dressing
+  aggressive: {
+    levels: [{ ratio: 0.2, error: 0.05 }, { ratio: 0.05, error: 0.1 }],
+  },
+  // Tiled or modular meshes: open borders stay put so neighbours still meet
+  terrain: {
+    levels: [{ ratio: 0.25, error: 0.01 }, { ratio: 0.06, error: 0.03 }],
+    lockBorder: true,
+  },
+};
+
+export const DEFAULT_PRESET = "balanced";
+
+export const COMPRESSION_METHODS = ["none", "meshopt", "draco"];
+
+// Cleanup passes run before compression, in this order
+export const OUTPUT_PASSES = ["dedup", "instance", "prune"];
+
+export const USAGE = `Usage: generate-lod-models <input...> <outputDir> [options]
+
+Inputs are GLB files, directories (searched recursively) or quoted glob
+patterns such as "assets/**/*.glb". The output mirrors the input folders.
+
+Options:
+  -p, --preset <name>    ${Object.keys(PRESETS).join(", ")} (default: ${DEFAULT_PRESET})
+  -l, --levels <n>       Number of simplified levels written next to LOD0
+  -r, --ratio <list>     Decreasing triangle ratio per level, e.g. 0.5,0.2,0.05. A
+                         single value is applied to each level in turn (0.5: 50%, 25%...)
+  -e, --error <list>     Simplifier error per level, e.g. 0.01,0.03. A single
+                         value is used for every level
+      --lock-border      Keep open mesh borders in place
+  -j, --jobs <n>         Files processed in parallel (default: CPU cores - 1)
+      --force            Regenerate files whose outputs are newer than the input
+      --compress <name>  ${COMPRESSION_METHODS.join(", ")} (default: none), every level
+      --dedup            Merge duplicate accessors, meshes, materials and textures
+      --instance         Turn repeated meshes into EXT_mesh_gpu_instancing
+      --prune            Remove unused nodes, materials, textures and attributes
+      --report <file>    Write per-level counts, sizes, reductions, errors and
+                         timings as JSON, e.g. for CI checks
+  -c, --config <file>    JSON options, e.g. flow-lod.json:
+                         { "preset": "terrain", "levels": [{ "ratio": 0.3, "error": 0.02 }] }
+                         Levels may set "compress", "dedup", "instance" and
+                         "prune" of their own; top-level ones also cover LOD0
+  -h, --help             Show this help
+
+Command-line flags override the config file, which overrides the preset.`;
+
+/**
+ * Split argv into flags and positional arguments
+ */
+export function parseCLIArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      preset: { type: "string", short: "p" },
+      levels: { type: "string", short: "l" },
+      ratio: { type: "string", short: "r" },
+      error: { type: "string", short: "e" },
+      "lock-border": { type: "boolean" },
+      jobs: { type: "string", short: "j" },
+      force: { type: "boolean" },
+      compress: { type: "string" },
+      dedup: { type: "boolean" },
+      instance: { type: "boolean" },
+      prune: { type: "boolean" },
+      report: { type: "string" },
+      config: { type: "string", short: "c" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+  return { values, positionals };
+}
+
+/**
+ * Comma-separated numbers, checked against `isValid`
+ */
+function parseNumberList(value, flag, isValid, expected) {
+  if (value === undefined) return null;
+  const numbers = String(value).split(",").map((part) => Number(part.trim()));
+  if (numbers.length === 0 || !numbers.every((n) => Number.isFinite(n) && isValid(n))) {
+    throw new Error(`${flag} must be ${expected}, got "${value}"`);
+  }
+  return numbers;
+}
+
+function readConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read config ${file}: ${error.message}`);
+  }
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Config ${file} must be a JSON object`);
+  }
+  return config;
+}
+
+/**
+ * Validate levels from a preset or config file
+ */
+function checkLevels(levels, source) {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error(`${source} levels must be a non-empty array`);
+  }
+  levels.forEach((level, i) => {
+    if (!(level?.ratio > 0 && level.ratio <= 1)) {
+      throw new Error(`${source} level ${i + 1} ratio must be a number in (0, 1]`);
+    }
+    if (level.error !== undefined && !(level.error >= 0)) {
+      throw new Error(`${source} level ${i + 1} error must be a non-negative number`);
+    }
+    if (level.compress !== undefined && !COMPRESSION_METHODS.includes(level.compress)) {
+      throw new Error(`${source} level ${i + 1} compress must be one of: ${COMPRESSION_METHODS.join(", ")}`);
+    }
+  });
+  return levels;
+}
+
+/**
+ * Compression and cleanup passes for one level: flags first, then the
+ * level's own settings, then the config file's top-level ones
+ */
+function resolveOutput(values, level, config) {
+  const compress = values.compress ?? level.compress ?? config.compress ?? "none";
+  if (!COMPRESSION_METHODS.includes(compress)) {
+    throw new Error(`Unknown compression "${compress}", expected one of: ${COMPRESSION_METHODS.join(", ")}`);
+  }
+  const output = { compress };
+  for (const pass of OUTPUT_PASSES) {
+    output[pass] = Boolean(values[pass] ?? level[pass] ?? config[pass] ?? false);
+  }
+  return output;
+}
+
+/**
+ * Resolve the levels to generate from the preset, the config file and the
+ * flags, in increasing order of precedence. Returns { preset, lockBorder,
+ * levels: [{ ratio, error, lockBorder, compress, dedup, instance, prune }],
+ * original, jobs, force, report, config }, `original` being the output
+ * options of LOD0 and the raw config kept for options that aren't about
+ * simplification. `jobs` is null unless set, leaving the worker count to
+ * the batch.
+ */
+export function resolveLODOptions(values = {}) {
+  const config = values.config ? readConfig(values.config) : {};
+
+  const preset = values.preset ?? config.preset ?? DEFAULT_PRESET;
+  if (!PRESETS[preset]) {
+    throw new Error(`Unknown preset "${preset}", expected one of: ${Object.keys(PRESETS).join(", ")}`);
+  }
+
+  const base = config.levels
+    ? checkLevels(config.levels, values.config)
+    : PRESETS[preset].levels;
+  const lockBorder = Boolean(values["lock-border"] ?? config.lockBorder ?? PRESETS[preset].lockBorder ?? false);
+
+  const ratios = parseNumberList(values.ratio, "--ratio", (n) => n > 0 && n <= 1, "numbers in (0, 1]");
+  const errors = parseNumberList(values.error, "--error", (n) => n >= 0, "non-negative numbers");
+
+  let count = base.length;
+  if (values.levels !== undefined) {
+    count = Number(values.levels);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`--levels must be a positive integer, got "${values.levels}"`);
+    }
+  } else if (ratios?.length > 1 || errors?.length > 1) {
+    count = Math.max(ratios?.length ?? 0, errors?.length ?? 0);
+  }
+
+  for (const [list, flag] of [[ratios, "--ratio"], [errors, "--error"]]) {
+    if (list && list.length > 1 && list.length !== count) {
+      throw new Error(`${flag} lists ${list.length} values for ${count} levels`);
+    }
+  }
+
+  const levels = [];
+  for (let i = 0; i < count; i++) {
+    // Past the end of the preset, keep halving the ratio and doubling the error
+    const extra = Math.max(0, i - base.length + 1);
+    const from = base[Math.min(i, base.length - 1)];
+    let ratio = from.ratio / 2 ** extra;
+    let error = (from.error ?? 0.01) * 2 ** extra;
+
+    if (ratios) ratio = ratios.length > 1 ? ratios[i] : ratios[0] ** (i + 1);
+    if (errors) error = errors.length > 1 ? errors[i] : errors[0];
+
+    levels.push({
+      ratio,
+      error,
+      lockBorder: values["lock-border"] ?? from.lockBorder ?? lockBorder,
+      ...resolveOutput(values, from, config),
+    });
+  }
+
+  // Each level must be coarser than the one before it, LOD0 being the original
+  const levelRatios = [1, ...levels.map(({ ratio }) => ratio)];
+  if (levelRatios.some((ratio, i) => i > 0 && ratio >= levelRatios[i - 1])) {
+    throw new Error(`Level ratios must decrease from level to level and stay below 1, got ${levelRatios.slice(1).join(", ")}`);
+  }
+
+  const jobs = values.jobs ?? config.jobs ?? null;
+  if (jobs !== null && !(Number.isInteger(Number(jobs)) && Number(jobs) >= 1)) {
+    throw new Error(`--jobs must be a positive integer, got "${jobs}"`);
+  }
+
+  return {
+    preset,
+    lockBorder,
+    levels,
+    original: resolveOutput(values, {}, config),
+    jobs: jobs === null ? null : Number(jobs),
+    force: Boolean(values.force ?? config.force ?? false),
+    report: values.report ?? config.report ?? null,
+    config,
+  };
+}
@@ -0,0 +1,94 @@
+import fs from "fs";
+import path from "path";
+
+export const REPORT_VERSION = 1;
+
+export function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${Math.round(ms)}ms`;
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Right-aligned columns, the first one left-aligned
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  return rows
+    .map((row) => row.map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join("  ").trimEnd())
+    .join("\n");
+}
+
+/**
+ * Human-readable table of one file's report from generateLODs
+ */
+export function formatLevelTable(report) {
+  const rows = [["Level", "Codec", "Vertices", "Triangles", "Prims", "Size", "Ratio", "Achieved", "Error", "Reached", "Time", ""]];
+  for (const level of report.levels) {
+    rows.push([
+      `LOD${level.level}`,
+      level.compression === "none" ? "-" : level.compression,
+      level.vertices.toLocaleString("en-US"),
+      level.triangles.toLocaleString("en-US"),
+      String(level.primitives),
+      formatBytes(level.bytes),
+      level.requestedRatio.toFixed(3),
+      level.achievedRatio.toFixed(3),
+      level.requestedError.toFixed(4),
+      level.error.toFixed(4),
+      formatDuration(level.duration),
+      level.ineffective ? "no reduction" : "",
+    ]);
+  }
+  return `${report.input} (${formatDuration(report.duration)})\n${formatTable(rows)}`;
+}
+
+/**
+ * Levels of every report that removed no triangles
+ */
+export function listIneffectiveLevels(reports) {
+  return reports.flatMap((report) => report.levels
+    .filter((level) => level.ineffective)
+    .map((level) => ({ input: report.input, level: level.level, file: level.file })));
+}
+
+/**
+ * Write the machine-readable report: the requested levels and LOD0 output
+ * options, totals and one entry per file with its status and, once
+ * generated, its levels
+ */
+export function writeReport(file, results, { preset, levels, original }) {
+  const reports = results.filter((result) => result.report).map((result) => result.report);
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const report = {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    preset,
+    levels,
+    original,
+    summary: {
+      files: results.length,
+      generated: count("ok"),
+      skipped: count("skipped"),
+      failed: count("failed"),
+      ineffectiveLevels: listIneffectiveLevels(reports),
+    },
+    files: results.map(({ input, relative, status, error, duration, report: fileReport }) => ({
+      input,
+      relative,
+      status,
+      error: error ?? null,
+      duration,
+      levels: fileReport?.levels ?? [],
+    })),
+  };
+
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return report;
+}
@@ -0,0 +1,102 @@
+import { ResourceManager } from "./resourceManager.js";
+import { abortable, throwIfAborted } from "./fetcher.js";
+
+/**
+ * URL-keyed asset cache with reference counting.
+ * Concurrent requests for the same key share one load, and the cached
+ * resource is disposed only once every holder has released it.
+ */
+export class AssetCache extends ResourceManager {
+    constructor() {
+        super();
+        this.pending = new Map();
+    }
+
+    /**
+     * Get a cached resource, loading it with `load(signal)` on first use.
+     * Every successful call must be paired with a `release(key)`.
+     *
+     * Aborting `signal` only cancels this caller's wait. The shared load is
+     * cancelled once every caller waiting on it has aborted.
+     */
+    async acquire(key, load, signal = null) {
+        throwIfAborted(signal, key);
+
+        if (!this.resources.has(key)) {
+            let entry = this.pending.get(key);
+            // An abandoned load may still be winding down, don't join it
+            if (!entry || entry.controller.signal.aborted) {
+                entry = this.startLoad(key, load);
+            }
+            entry.waiters++;
+
+            try {
+                await abortable(entry.promise, signal, key);
+            } catch (error) {
+                if (signal?.aborted && entry.waiters === 1 && this.pending.get(key) === entry) {
+                    entry.controller.abort(signal.reason);
+                }
+                throw error;
+            } finally {
+                entry.waiters--;
+            }
+
+            // Released to zero by its other holders while we were waiting
+            if (!this.resources.has(key)) return this.acquire(key, load, signal);
+        }
+
+        this.retainResource(key);
+        return this.getResource(key);
+    }
+
+    /**
+     * Start a shared load for a key
+     */
+    startLoad(key, load) {
+        const controller = new AbortController();
+        const entry = { controller, waiters: 0, promise: null };
+
+        entry.promise = Promise.resolve()
+            .then(() => load(controller.signal))
+            .then((resource) => {
+                // Everyone gave up but the loader finished anyway
+                if (controller.signal.aborted) {
+                    if (resource && resource.dispose) resource.dispose();
+                    throwIfAborted(controller.signal, key);
+                }
+                this.addResource(key, resource);
+                return resource;
+            })
+            .finally(() => {
+                if (this.pending.get(key) === entry) this.pending.delete(key);
+            });
+
+        this.pending.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Release one reference, disposing the resource when it was the last
+     */
+    release(key) {
+        return this.releaseResource(key);
+    }
+
+    /**
+     * Check whether a key is cached or currently loading
+     */
+    has(key) {
+        return this.resources.has(key) || this.pending.has(key);
+    }
+
+    dispose() {
+        for (const entry of this.pending.values()) {
+            entry.controller.abort();
+        }
+        this.pending.clear();
+        super.dispose();
+    }
+}
+
+// Default cache shared by the loader utilities
+export const assetCache = new AssetCache();
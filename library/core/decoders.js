@@ -0,0 +1,173 @@
+import * as THREE from "three";
+import { DRACOLoader } from "three/examples/jsm/loaders/DRACOLoader.js";
+import { KTX2Loader } from "three/examples/jsm/loaders/KTX2Loader.js";
+import { MeshoptDecoder } from "meshoptimizer";
+import { Config } from "../utils/config.js";
+import { Helpers } from "../utils/helpers.js";
+
+// Decoder builds published alongside the installed three.js revision
+const THREE_CDN = `https://cdn.jsdelivr.net/npm/three@0.${THREE.REVISION}.0/examples/jsm/libs`;
+const DEFAULT_DRACO_PATH = `${THREE_CDN}/draco/gltf/`;
+const DEFAULT_BASIS_PATH = `${THREE_CDN}/basis/`;
+
+/**
+ * Decoder instances are shared across loads so worker pools and WASM
+ * modules are only spun up once per page.
+ */
+const shared = {
+    draco: null,
+    dracoPath: null,
+    dracoModule: null,
+    dracoModulePath: null,
+    ktx2: null,
+    ktx2Path: null,
+    ktx2Renderer: null,
+};
+
+/**
+ * Merge per-call decoder options over the global `Config.decoders`
+ */
+export function resolveDecoderOptions(options = {}) {
+    return Helpers.mergeDeep({}, Config.decoders, options);
+}
+
+/**
+ * Get the shared DRACOLoader, recreating it if the decoder path changed
+ */
+export function getDRACOLoader(options = {}) {
+    const {
+        decoderPath = null,
+        decoderType = null, // 'js' or 'wasm', null lets DRACOLoader decide
+        workerLimit = 4,
+    } = options;
+    const path = decoderPath || DEFAULT_DRACO_PATH;
+
+    if (shared.draco && shared.dracoPath !== path) {
+        shared.draco.dispose();
+        shared.draco = null;
+    }
+
+    if (!shared.draco) {
+        shared.draco = new DRACOLoader();
+        shared.draco.setDecoderPath(path);
+        if (decoderType) shared.draco.setDecoderConfig({ type: decoderType });
+        shared.dracoPath = path;
+    }
+
+    shared.draco.setWorkerLimit(workerLimit);
+    return shared.draco;
+}
+
+/**
+ * Load the Draco decoder module itself, for glTF-Transform's
+ * 'draco3d.decoder' dependency. Uses the same decoder build and path as the
+ * shared DRACOLoader and resolves with the module once it is initialised.
+ */
+export function getDracoDecoderModule(options = {}) {
+    const {
+        decoderPath = null,
+        decoderType = null,
+    } = options;
+    const path = decoderPath || DEFAULT_DRACO_PATH;
+    const useJS = typeof WebAssembly !== 'object' || decoderType === 'js';
+
+    if (shared.dracoModule && shared.dracoModulePath === `${path}#${useJS}`) {
+        return shared.dracoModule;
+    }
+
+    const loader = new THREE.FileLoader().setPath(path);
+    const load = (file, responseType) => loader.setResponseType(responseType).loadAsync(file);
+    const libraries = useJS
+        ? [load('draco_decoder.js', 'text')]
+        : [load('draco_wasm_wrapper.js', 'text'), load('draco_decoder.wasm', 'arraybuffer')];
+
+    const pending = Promise.all(libraries).then(([source, wasmBinary]) => {
+        // The decoder script declares DracoDecoderModule rather than exporting it
+        const DracoDecoderModule = new Function(`${source}\nreturn DracoDecoderModule;`)();
+        // The module is a thenable, so it is resolved wrapped
+        return new Promise((resolve) => {
+            DracoDecoderModule({ wasmBinary, onModuleLoaded: (draco) => resolve({ draco }) });
+        });
+    }).then(({ draco }) => draco);
+
+    shared.dracoModule = pending;
+    shared.dracoModulePath = `${path}#${useJS}`;
+    // Try again on the next read
+    pending.catch(() => {
+        if (shared.dracoModule === pending) {
+            shared.dracoModule = null;
+            shared.dracoModulePath = null;
+        }
+    });
+    return pending;
+}
+
+/**
+ * Get the shared KTX2Loader. KTX2 transcoding needs to know which
+ * compressed formats the renderer supports, so a renderer is required.
+ */
+export function getKTX2Loader(renderer, options = {}) {
+    const {
+        transcoderPath = null,
+        workerLimit = 4,
+    } = options;
+    const path = transcoderPath || DEFAULT_BASIS_PATH;
+
+    if (shared.ktx2 && shared.ktx2Path !== path) {
+        shared.ktx2.dispose();
+        shared.ktx2 = null;
+    }
+
+    if (!shared.ktx2) {
+        shared.ktx2 = new KTX2Loader();
+        shared.ktx2.setTranscoderPath(path);
+        shared.ktx2Path = path;
+        shared.ktx2Renderer = null;
+    }
+
+    if (shared.ktx2Renderer !== renderer) {
+        shared.ktx2.detectSupport(renderer);
+        shared.ktx2Renderer = renderer;
+    }
+
+    shared.ktx2.setWorkerLimit(workerLimit);
+    return shared.ktx2;
+}
+
+/**
+ * Attach Draco, Meshopt and KTX2 decoders to a GLTFLoader
+ */
+export function configureGLTFLoader(loader, options = {}, renderer = null) {
+    const { draco, meshopt, ktx2 } = resolveDecoderOptions(options);
+
+    if (draco.enabled) {
+        loader.setDRACOLoader(getDRACOLoader(draco));
+    }
+
+    if (meshopt.enabled) {
+        loader.setMeshoptDecoder(MeshoptDecoder);
+    }
+
+    // Without a renderer KTX2 is left unset and GLTFLoader reports it on use
+    if (ktx2.enabled && renderer) {
+        loader.setKTX2Loader(getKTX2Loader(renderer, ktx2));
+    }
+
+    return loader;
+}
+
+/**
+ * Terminate decoder workers and release the shared instances
+ */
+export function disposeDecoders() {
+    if (shared.draco) shared.draco.dispose();
+    if (shared.ktx2) shared.ktx2.dispose();
+
+    shared.draco = null;
+    shared.dracoPath = null;
+    shared.dracoModule = null;
+    shared.dracoModulePath = null;
+    shared.ktx2 = null;
+    shared.ktx2Path = null;
+    shared.ktx2Renderer = null;
+}
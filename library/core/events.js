@@ -0,0 +1,61 @@
+import { logger } from "../utils/logger.js";
+
+/**
+ * Loader and LOD events. The loaders and the updateManager dispatch them on
+ * `loaderEvents`, so telemetry and UI can follow every load without passing
+ * callbacks to each call:
+ *
+ *   load-start        { url, assetType }
+ *   progress          { url, assetType, loaded, total }
+ *   load-complete     { url, assetType, duration }
+ *   load-error        { url, assetType, stage, error }, plus { level, file } for LOD levels
+ *   load-abort        { url, assetType }
+ *   load-warning      { url, stage, message, error }, a load went on despite it
+ *   lod-level-loaded  { url, model, level, file, reloaded }
+ *   lod-switched      { lod, previousLevel, level }
+ *
+ * When the updateManager reloads an evicted level, `model` is its LOD and
+ * `reloaded` is true; a failed reload also carries the `lod`.
+ *
+ * Warnings are persistent cache failures (stage 'cache') and content that
+ * worker loading can't build (stage 'parse'); they are logged through the
+ * library logger as well.
+ *
+ * `assetType` is 'model', 'hdri' or 'texture'. Event fields are set on the
+ * event itself: `loaderEvents.addEventListener('load-error', (e) => e.stage)`.
+ */
+export const LOADER_EVENTS = [
+    'load-start',
+    'progress',
+    'load-complete',
+    'load-error',
+    'load-abort',
+    'load-warning',
+    'lod-level-loaded',
+    'lod-switched',
+];
+
+export class LoaderEvent extends Event {
+    constructor(type, fields = {}) {
+        super(type);
+        Object.assign(this, fields);
+    }
+}
+
+export const loaderEvents = new EventTarget();
+
+export function emitLoaderEvent(type, fields) {
+    loaderEvents.dispatchEvent(new LoaderEvent(type, fields));
+}
+
+/**
+ * Log a recoverable problem and dispatch it as a load-warning event
+ */
+export function emitLoaderWarning({ url, stage, message, error = null }) {
+    if (error) {
+        logger.warn(message, error);
+    } else {
+        logger.warn(message);
+    }
+    emitLoaderEvent('load-warning', { url, stage, message, error });
+}
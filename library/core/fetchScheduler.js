@@ -0,0 +1,89 @@
+import { Config } from "../utils/config.js";
+import { LoadAbortError } from "../utils/errors.js";
+import { throwIfAborted } from "./fetcher.js";
+
+/**
+ * Shared queue for background fetches with a concurrency limit.
+ * Priorities are read again every time a slot frees up, so a task can pass
+ * a function that follows the camera (see updateManager). Higher runs
+ * first; equal priorities run in the order they were queued.
+ */
+export class FetchScheduler {
+    constructor(concurrency = null) {
+        this.concurrency = concurrency;
+        this.queue = [];
+        this.active = 0;
+        this.sequence = 0;
+    }
+
+    /**
+     * Queue `run(signal)` and resolve with its result once it has run.
+     * Aborting `signal` while queued rejects with a LoadAbortError.
+     */
+    schedule(run, { priority = 0, signal = null, key = null } = {}) {
+        throwIfAborted(signal, key);
+
+        return new Promise((resolve, reject) => {
+            const task = { run, priority, signal, key, resolve, reject, order: this.sequence++ };
+
+            if (signal) {
+                task.onAbort = () => {
+                    const index = this.queue.indexOf(task);
+                    if (index === -1) return;
+                    this.queue.splice(index, 1);
+                    reject(new LoadAbortError(key, signal.reason));
+                };
+                signal.addEventListener('abort', task.onAbort, { once: true });
+            }
+
+            this.queue.push(task);
+            this.pump();
+        });
+    }
+
+    getConcurrency() {
+        return this.concurrency ?? Config.scheduler.concurrency;
+    }
+
+    /**
+     * Start queued tasks, highest priority first, while slots are free
+     */
+    pump() {
+        while (this.active < this.getConcurrency() && this.queue.length > 0) {
+            const task = this.takeNext();
+            this.active++;
+
+            Promise.resolve()
+                .then(() => task.run(task.signal))
+                .then(task.resolve, task.reject)
+                .finally(() => {
+                    task.signal?.removeEventListener('abort', task.onAbort);
+                    this.active--;
+                    this.pump();
+                });
+        }
+    }
+
+    takeNext() {
+        let best = 0;
+        let bestPriority = -Infinity;
+        this.queue.forEach((task, i) => {
+            const priority = typeof task.priority === 'function' ? task.priority() : task.priority;
+            if (priority > bestPriority) {
+                best = i;
+                bestPriority = priority;
+            }
+        });
+        return this.queue.splice(best, 1)[0];
+    }
+
+    /**
+     * Number of queued and running tasks
+     */
+    getStats() {
+        return { queued: this.queue.length, active: this.active, concurrency: this.getConcurrency() };
+    }
+}
+
+// Default scheduler shared by progressive LOD loads
+export const fetchScheduler = new FetchScheduler();
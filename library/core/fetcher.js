@@ -0,0 +1,369 @@
+import {
+    LoadAbortError,
+    LoadTimeoutError,
+    LoadRetryError,
+    isAbortError,
+} from "../utils/errors.js";
+import { Config } from "../utils/config.js";
+import { Helpers } from "../utils/helpers.js";
+import { verifyIntegrity } from "./integrity.js";
+import { persistentCache, persistentKey } from "./persistentCache.js";
+import { emitLoaderWarning } from "./events.js";
+
+/**
+ * Throw a LoadAbortError if the signal has been aborted
+ */
+export function throwIfAborted(signal, url = null) {
+    if (signal?.aborted) {
+        throw new LoadAbortError(url, signal.reason);
+    }
+}
+
+/**
+ * Reject as soon as the signal aborts, without waiting for the promise
+ */
+export function abortable(promise, signal, url = null) {
+    if (!signal) return promise;
+    throwIfAborted(signal, url);
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new LoadAbortError(url, signal.reason));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise
+            .then(resolve, reject)
+            .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+/**
+ * Create an AbortController that also aborts when `signal` does.
+ * Lets a loader cancel its own work without owning the caller's signal.
+ */
+export function createLinkedController(signal = null) {
+    const controller = new AbortController();
+    if (signal?.aborted) {
+        controller.abort(signal.reason);
+    } else if (signal) {
+        signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    }
+    return controller;
+}
+
+/**
+ * Virtual URLs for dropped or in-memory files (see fileSource.js). Each
+ * set of files registers a prefix such as `flowjs-file:3/` and a resolver
+ * from the path after it to an object URL.
+ */
+export const LOCAL_URL_SCHEME = 'flowjs-file:';
+const localFiles = new Map();
+
+export function registerLocalFiles(prefix, resolve) {
+    localFiles.set(prefix, resolve);
+}
+
+export function unregisterLocalFiles(prefix) {
+    localFiles.delete(prefix);
+}
+
+/**
+ * Object URL for a virtual file URL, null if no such file was given.
+ * Any other URL is returned as is.
+ */
+export function resolveLocalURL(url) {
+    if (typeof url !== 'string' || !url.startsWith(LOCAL_URL_SCHEME)) return url;
+
+    const prefix = url.slice(0, url.indexOf('/') + 1);
+    const resolve = localFiles.get(prefix);
+    return resolve ? resolve(url.slice(prefix.length)) : null;
+}
+
+/**
+ * Fetch a URL into an ArrayBuffer, reporting download progress.
+ * `onResponse` sees the successful Response, e.g. to read its headers.
+ * A 304 answer to conditional `headers` rejects with status 304.
+ */
+export async function fetchArrayBuffer(url, options = {}) {
+    const { signal = null, onProgress = null, onResponse = null, headers = null } = options;
+    throwIfAborted(signal, url);
+
+    try {
+        const target = resolveLocalURL(url);
+        if (target === null) {
+            const error = new Error(`${url} is not among the given files`);
+            error.status = 404;
+            throw error;
+        }
+
+        const response = await fetch(target, headers ? { signal, headers } : { signal });
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status} ${response.statusText} while fetching ${url}`);
+            error.status = response.status;
+            throw error;
+        }
+        if (onResponse) onResponse(response);
+
+        if (!onProgress || !response.body) {
+            return await response.arrayBuffer();
+        }
+
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        const reader = response.body.getReader();
+        const chunks = [];
+        let loaded = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            chunks.push(value);
+            loaded += value.byteLength;
+            onProgress({ loaded, total, lengthComputable: total > 0 });
+        }
+
+        const bytes = new Uint8Array(loaded);
+        let offset = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return bytes.buffer;
+    } catch (error) {
+        if (signal?.aborted || isAbortError(error)) {
+            throw new LoadAbortError(url, signal?.reason);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Merge a per-call retry policy over `Config.retry`. `false` disables
+ * retries, timeouts and fallbacks for the call.
+ */
+export function resolveRetryPolicy(retry = {}) {
+    if (retry === false) {
+        return { retries: 0, delay: 0, maxDelay: 0, timeout: 0, fallbackUrls: [] };
+    }
+    return Helpers.mergeDeep({}, Config.retry, retry);
+}
+
+/**
+ * Wait for `ms`, rejecting early if the signal aborts
+ */
+function sleep(ms, signal = null) {
+    return abortable(new Promise((resolve) => setTimeout(resolve, ms)), signal);
+}
+
+/**
+ * Network errors, timeouts, 408, 429 and 5xx are worth retrying.
+ * Other HTTP errors (404, 403...) move straight on to the next fallback.
+ */
+function isRetryable(error) {
+    const { status } = error;
+    return status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Single fetch attempt bounded by an idle timeout: it fires when the
+ * headers or the next body chunk take longer than `timeout`, so slow but
+ * steady downloads of large files still complete
+ */
+async function fetchAttempt(url, { signal, onProgress, onResponse, headers, timeout }) {
+    if (!timeout) return fetchArrayBuffer(url, { signal, onProgress, onResponse, headers });
+
+    const controller = createLinkedController(signal);
+    let timer = null;
+    const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(new LoadTimeoutError(url, timeout)), timeout);
+    };
+    arm();
+
+    try {
+        // Progress is always read chunk by chunk, so every chunk re-arms the timer
+        return await fetchArrayBuffer(url, {
+            signal: controller.signal,
+            headers,
+            onResponse: (response) => {
+                arm();
+                if (onResponse) onResponse(response);
+            },
+            onProgress: (progress) => {
+                arm();
+                if (onProgress) onProgress(progress);
+            },
+        });
+    } catch (error) {
+        // Our own timer fired, not the caller's signal
+        if (!signal?.aborted && controller.signal.aborted) {
+            throw controller.signal.reason;
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Fetch a URL with retries, exponential backoff, a per-request timeout and
+ * ordered fallback URLs. Rejects with a LoadRetryError listing every attempt,
+ * or a LoadAbortError as soon as the signal aborts.
+ *
+ * `retry.fallbackUrls` is either an array of URLs to try after `url`, or a
+ * function mapping `url` to that array (useful for derived LOD file names).
+ *
+ * With `integrity` (SRI metadata, e.g. `sha384-<base64>`), the bytes are
+ * checked before they are returned. A mismatch rejects with an
+ * IntegrityError straight away: retries and fallbacks are not tried.
+ *
+ * `persist` overrides Config.persistentCache for the call: `false` skips the
+ * persistent cache, `true` or { version, revalidate, maxAge } opts in.
+ */
+export async function fetchWithRetry(url, options = {}) {
+    const policy = resolvePersistPolicy(options.persist, url);
+    return policy ? fetchPersisted(url, policy, options) : fetchNetwork(url, options);
+}
+
+async function fetchNetwork(url, options) {
+    const { signal = null, onProgress = null, onResponse = null, headers = null, retry = {}, integrity = null } = options;
+    const { retries, delay, maxDelay, timeout, fallbackUrls } = resolveRetryPolicy(retry);
+
+    const fallbacks = typeof fallbackUrls === 'function' ? fallbackUrls(url) : fallbackUrls;
+    const candidates = [url, ...(fallbacks || [])];
+    const attempts = [];
+
+    for (const candidate of candidates) {
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await sleep(Math.min(delay * 2 ** (attempt - 1), maxDelay), signal);
+            }
+
+            let buffer;
+            try {
+                buffer = await fetchAttempt(candidate, { signal, onProgress, onResponse, headers, timeout });
+            } catch (error) {
+                // Not modified: the caller's copy is current
+                if (isAbortError(error) || error.status === 304) throw error;
+                attempts.push({ url: candidate, attempt: attempt + 1, error });
+                if (!isRetryable(error)) break;
+                continue;
+            }
+            return integrity ? verifyIntegrity(buffer, integrity, candidate) : buffer;
+        }
+    }
+
+    throw new LoadRetryError(url, attempts);
+}
+
+/**
+ * Persistent cache policy for a fetch, or null when it isn't persisted:
+ * Config.persistentCache merged with the call's `persist` option. Virtual
+ * file, data: and blob: URLs are never persisted.
+ */
+export function resolvePersistPolicy(persist = null, url = '') {
+    if (persist === false || !persistentCache.available) return null;
+    if (typeof url !== 'string' || /^(data|blob):/.test(url) || url.startsWith(LOCAL_URL_SCHEME)) return null;
+
+    const policy = { ...Config.persistentCache, ...(typeof persist === 'object' ? persist : {}) };
+    if (!persist && !policy.enabled) return null;
+
+    const version = typeof policy.version === 'function' ? policy.version(url) : policy.version;
+    return { ...policy, version: version || null };
+}
+
+/**
+ * Whether `url` is in the persistent cache, so loading it costs no download
+ */
+export async function isPersisted(url, { persist = null, integrity = null } = {}) {
+    const policy = resolvePersistPolicy(persist, url);
+    if (!policy) return false;
+    return persistentCache.has(persistentKey(url, { version: policy.version, integrity })).catch(() => false);
+}
+
+/**
+ * fetchWithRetry through the persistent cache. Storage failures (quota,
+ * private browsing) only cost the caching, never the load.
+ */
+async function fetchPersisted(url, policy, options) {
+    const { signal = null, onProgress = null, onResponse = null, integrity = null } = options;
+    const key = persistentKey(url, { version: policy.version, integrity });
+
+    let entry = null;
+    try {
+        entry = await persistentCache.get(key);
+    } catch (error) {
+        emitLoaderWarning({ url, stage: 'cache', message: `Persistent cache unavailable, fetching ${url}`, error });
+    }
+    throwIfAborted(signal, url);
+
+    // Download, capturing the validators a later revalidation sends back
+    const download = async (downloadOptions) => {
+        let meta = {};
+        const buffer = await fetchNetwork(url, {
+            ...downloadOptions,
+            onResponse: (response) => {
+                meta = {
+                    etag: response.headers.get('ETag'),
+                    lastModified: response.headers.get('Last-Modified'),
+                    contentType: response.headers.get('Content-Type'),
+                };
+                if (downloadOptions.onResponse) downloadOptions.onResponse(response);
+            },
+        });
+        try {
+            await persistentCache.put(key, buffer, { ...meta, url: persistentKey(url), version: policy.version, integrity });
+        } catch (error) {
+            emitLoaderWarning({ url, stage: 'cache', message: `Failed to store ${url} in the persistent cache`, error });
+        }
+        return buffer;
+    };
+
+    if (!entry) return download(options);
+
+    const serve = () => {
+        persistentCache.touch(key).catch(() => {});
+        if (onResponse) {
+            onResponse(new Response(null, { headers: entry.contentType ? { 'Content-Type': entry.contentType } : {} }));
+        }
+        if (onProgress) onProgress({ loaded: entry.size, total: entry.size, lengthComputable: true });
+        return entry.bytes;
+    };
+
+    const conditional = {};
+    if (entry.etag) conditional['If-None-Match'] = entry.etag;
+    if (entry.lastModified) conditional['If-Modified-Since'] = entry.lastModified;
+    const revalidate = (revalidateOptions) => download({ ...revalidateOptions, headers: conditional })
+        .catch((error) => {
+            if (error.status !== 304) throw error;
+            persistentCache.touch(key, { storedAt: Date.now() }).catch(() => {});
+            return null;
+        });
+
+    const expired = policy.maxAge > 0 && Date.now() - entry.storedAt > policy.maxAge;
+    const mode = expired ? 'always' : policy.revalidate;
+
+    if (mode === 'background') {
+        revalidate({ retry: options.retry, integrity })
+            .catch((error) => emitLoaderWarning({ url, stage: 'cache', message: `Failed to revalidate ${url}`, error }));
+    }
+    if (mode !== 'always') return serve();
+
+    try {
+        return (await revalidate(options)) || serve();
+    } catch (error) {
+        if (isAbortError(error) || error.name === 'IntegrityError') throw error;
+        // Offline or server down: the stored copy beats no copy
+        emitLoaderWarning({ url, stage: 'cache', message: `Failed to revalidate ${url}, using the cached copy`, error });
+        return serve();
+    }
+}
+
+/**
+ * Run a URL-based three.js loader on bytes that were already fetched
+ */
+export async function loadFromBuffer(loader, buffer, type = '') {
+    const objectURL = URL.createObjectURL(new Blob([buffer], { type }));
+    try {
+        return await loader.loadAsync(objectURL);
+    } finally {
+        URL.revokeObjectURL(objectURL);
+    }
+}
@@ -0,0 +1,157 @@
+import * as THREE from "three";
+import {
+    LOCAL_URL_SCHEME,
+    registerLocalFiles,
+    unregisterLocalFiles,
+    resolveLocalURL,
+} from "./fetcher.js";
+import { formatFromUrl, formatFromMimeType, formatFromBytes } from "./formats.js";
+
+/**
+ * Loading from File, Blob, ArrayBuffer and FileList inputs, e.g. files
+ * dropped onto the page. The files get a virtual URL (`flowjs-file:<n>/`
+ * plus their relative path) so the URL-based pipeline runs unchanged:
+ * fetches resolve it to an object URL, and three.js loaders resolve the
+ * files a glTF or OBJ references through a LoadingManager URL modifier.
+ */
+
+let nextId = 0;
+
+const isBlob = (value) => typeof Blob !== 'undefined' && value instanceof Blob;
+const isBuffer = (value) => value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+/**
+ * Whether `input` is a file input rather than a URL: a File or Blob, an
+ * ArrayBuffer (or a view of one), a FileList or an array of Files
+ */
+export function isFileInput(input) {
+    if (input === null || typeof input !== 'object') return false;
+    return isBlob(input)
+        || isBuffer(input)
+        || (typeof FileList !== 'undefined' && input instanceof FileList)
+        || (Array.isArray(input) && input.length > 0 && input.every(isBlob));
+}
+
+/**
+ * A readable name for a URL or file input, for logs and default keys
+ */
+export function getSourceName(input, name = null) {
+    if (!isFileInput(input)) return input;
+    if (name) return name;
+    if (isBlob(input)) return input.name || 'blob';
+    if (isBuffer(input)) return 'buffer';
+    return pickRoot(listFiles(input)).path;
+}
+
+/**
+ * Forward slashes, no empty or '.' segments, '..' applied
+ */
+function normalizePath(path) {
+    const parts = [];
+    for (const part of path.replace(/\\/g, '/').split('/')) {
+        if (part === '..') {
+            parts.pop();
+        } else if (part && part !== '.') {
+            parts.push(part);
+        }
+    }
+    return parts.join('/');
+}
+
+/**
+ * Files of an input with their relative paths. Folders dropped or picked
+ * with `webkitdirectory` keep their structure.
+ */
+function listFiles(input, name = null) {
+    if (isBuffer(input)) {
+        return [{ path: name || 'file', blob: new Blob([input]) }];
+    }
+    if (isBlob(input)) {
+        return [{ path: normalizePath(name || input.name || 'file'), blob: input }];
+    }
+    return Array.from(input, (file) => ({
+        path: normalizePath(file.webkitRelativePath || file.name || 'file'),
+        blob: file,
+    }));
+}
+
+/**
+ * The file to load from a set: `root` (a path or file name), else the
+ * first glTF, else the first other model, else the first file
+ */
+function pickRoot(files, root = null) {
+    if (root) {
+        const path = normalizePath(root);
+        const file = files.find((f) => f.path === path || f.path.split('/').pop() === path);
+        if (!file) throw new Error(`${root} is not among the given files`);
+        return file;
+    }
+    return files.find((file) => formatFromUrl(file.path) === 'gltf')
+        || files.find((file) => formatFromUrl(file.path))
+        || files[0];
+}
+
+/**
+ * Model format of a file input, without reading it (except the magic
+ * bytes of an in-memory buffer)
+ */
+export function formatFromInput(input, { name = null, root = null } = {}) {
+    if (isBuffer(input)) {
+        const buffer = ArrayBuffer.isView(input)
+            ? input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength)
+            : input;
+        return formatFromUrl(name || '') || formatFromBytes(buffer);
+    }
+    const file = pickRoot(listFiles(input, name), root);
+    return formatFromUrl(file.path) || formatFromMimeType(file.blob.type);
+}
+
+/**
+ * Register a file input under a virtual URL. Returns { url, format, name,
+ * manager, dispose }: load `url` with `manager` on the three.js loaders,
+ * then call `dispose()` once nothing needs to read the files anymore.
+ */
+export function createFileSource(input, { name = null, root = null } = {}) {
+    const files = listFiles(input, name);
+    const rootFile = pickRoot(files, root);
+    const prefix = `${LOCAL_URL_SCHEME}${nextId++}/`;
+
+    const byPath = new Map(files.map((file) => [file.path, file]));
+    const byName = new Map();
+    for (const file of files) {
+        const fileName = file.path.split('/').pop();
+        if (!byName.has(fileName)) byName.set(fileName, file);
+    }
+
+    const objectURLs = new Map();
+    registerLocalFiles(prefix, (path) => {
+        let decoded = path.split(/[?#]/)[0];
+        try {
+            decoded = decodeURIComponent(decoded);
+        } catch {
+            // Not percent-encoded
+        }
+        const normalized = normalizePath(decoded);
+        // Files dropped without their folders are matched by name
+        const file = byPath.get(normalized) || byName.get(normalized.split('/').pop());
+        if (!file) return null;
+
+        if (!objectURLs.has(file)) objectURLs.set(file, URL.createObjectURL(file.blob));
+        return objectURLs.get(file);
+    });
+
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier((url) => resolveLocalURL(url) || url);
+
+    return {
+        url: prefix + rootFile.path,
+        format: formatFromUrl(rootFile.path) || formatFromMimeType(rootFile.blob.type),
+        name: rootFile.path,
+        manager,
+        dispose() {
+            unregisterLocalFiles(prefix);
+            objectURLs.forEach((objectURL) => URL.revokeObjectURL(objectURL));
+            objectURLs.clear();
+        },
+    };
+}
@@ -0,0 +1,179 @@
+import * as THREE from "three";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { MTLLoader } from "three/examples/jsm/loaders/MTLLoader.js";
+import { FBXLoader } from "three/examples/jsm/loaders/FBXLoader.js";
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader.js";
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader.js";
+import { ThreeMFLoader } from "three/examples/jsm/loaders/3MFLoader.js";
+import { fetchWithRetry } from "./fetcher.js";
+
+/**
+ * Model formats FlowJS can load, with the file extensions and MIME types
+ * that identify them. glTF goes through loadGLTF, the others through the
+ * matching three.js loader.
+ */
+export const MODEL_FORMATS = {
+    gltf: {
+        extensions: ['gltf', 'glb'],
+        mimeTypes: ['model/gltf+json', 'model/gltf-binary'],
+    },
+    obj: {
+        extensions: ['obj'],
+        mimeTypes: ['model/obj'],
+    },
+    fbx: {
+        extensions: ['fbx'],
+        mimeTypes: ['application/vnd.autodesk.fbx', 'model/vnd.fbx'],
+    },
+    stl: {
+        extensions: ['stl'],
+        mimeTypes: ['model/stl', 'model/x.stl-binary', 'model/x.stl-ascii', 'application/sla', 'application/vnd.ms-pki.stl'],
+    },
+    ply: {
+        extensions: ['ply'],
+        mimeTypes: ['model/ply', 'application/ply'],
+    },
+    '3mf': {
+        extensions: ['3mf'],
+        mimeTypes: ['model/3mf', 'application/vnd.ms-package.3dmanufacturing-3dmodel+xml'],
+    },
+};
+
+/**
+ * Format from the URL's file extension, ignoring query and hash.
+ * data: URLs are identified by their MIME type.
+ */
+export function formatFromUrl(url) {
+    if (typeof url !== 'string') return null;
+    if (url.startsWith('data:')) {
+        return formatFromMimeType(url.slice(5).split(/[;,]/)[0]);
+    }
+
+    const path = url.split(/[?#]/)[0];
+    const extension = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+    return Object.keys(MODEL_FORMATS).find((format) => MODEL_FORMATS[format].extensions.includes(extension)) || null;
+}
+
+/**
+ * Format from a Content-Type header or Blob type
+ */
+export function formatFromMimeType(mimeType) {
+    if (!mimeType) return null;
+    const type = mimeType.split(';')[0].trim().toLowerCase();
+    return Object.keys(MODEL_FORMATS).find((format) => MODEL_FORMATS[format].mimeTypes.includes(type)) || null;
+}
+
+/**
+ * Format from the leading bytes of a file
+ */
+export function formatFromBytes(buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 4096));
+    const head = new TextDecoder().decode(bytes);
+
+    if (head.startsWith('glTF')) return 'gltf';
+    if (head.startsWith('Kaydara FBX Binary') || head.startsWith('; FBX')) return 'fbx';
+    if (/^ply\r?\n/.test(head)) return 'ply';
+    // 3MF is a zip package
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) return '3mf';
+
+    // Binary STL: 80 byte header, triangle count, 50 bytes per triangle
+    if (buffer.byteLength >= 84) {
+        const triangles = new DataView(buffer).getUint32(80, true);
+        if (84 + triangles * 50 === buffer.byteLength) return 'stl';
+    }
+    if (/^\s*solid\b/.test(head) && /\bfacet\b/.test(head)) return 'stl';
+
+    if (/^\s*\{/.test(head) && head.includes('"asset"')) return 'gltf';
+    if (/^(v|vn|vt|f|o|g|usemtl|mtllib)\s/m.test(head)) return 'obj';
+
+    return null;
+}
+
+/**
+ * Pick a format: explicit, then extension, then MIME type, then magic bytes
+ */
+export function detectFormat({ format = null, url = null, mimeType = null, buffer = null } = {}) {
+    return format
+        || formatFromUrl(url)
+        || formatFromMimeType(mimeType)
+        || (buffer ? formatFromBytes(buffer) : null);
+}
+
+/**
+ * Load the materials an OBJ references with `mtllib`, or `mtl` when given
+ */
+async function loadOBJMaterials(text, resourcePath, { mtl, signal, retry, manager }) {
+    const match = /^mtllib\s+(.+)$/m.exec(text);
+    const file = mtl || (match && match[1].trim());
+    if (!file) return null;
+
+    const url = THREE.LoaderUtils.resolveURL(file, resourcePath);
+    const mtlText = new TextDecoder().decode(await fetchWithRetry(url, { signal, retry }));
+    const materials = new MTLLoader(manager).parse(mtlText, THREE.LoaderUtils.extractUrlBase(url));
+    materials.preload();
+    return materials;
+}
+
+/**
+ * Wrap a bare geometry (STL, PLY) in a mesh, or in points for point clouds
+ */
+function createObjectFromGeometry(geometry, name, points = false) {
+    const vertexColors = geometry.hasAttribute('color');
+    let object;
+
+    if (points) {
+        object = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 0.01, vertexColors }));
+    } else {
+        if (!geometry.hasAttribute('normal')) geometry.computeVertexNormals();
+        object = new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({ vertexColors }));
+    }
+    object.name = name;
+    return object;
+}
+
+/**
+ * Parse a non-glTF model into a glTF-like result ({ scene, animations,
+ * cameras }) so callers handle every format the same way
+ */
+export async function parseModel(format, buffer, { url = '', mtl = null, signal = null, retry = {}, manager = null } = {}) {
+    const resourcePath = THREE.LoaderUtils.extractUrlBase(url);
+    // Resolves referenced files (textures, MTL), e.g. among dropped files
+    manager = manager || THREE.DefaultLoadingManager;
+    const name = url.split(/[?#]/)[0].split('/').pop();
+    let scene;
+
+    switch (format) {
+        case 'obj': {
+            const text = new TextDecoder().decode(buffer);
+            const loader = new OBJLoader(manager);
+            const materials = await loadOBJMaterials(text, resourcePath, { mtl, signal, retry, manager });
+            if (materials) loader.setMaterials(materials);
+            scene = loader.parse(text);
+            break;
+        }
+        case 'fbx':
+            scene = new FBXLoader(manager).parse(buffer, resourcePath);
+            break;
+        case 'stl':
+            scene = createObjectFromGeometry(new STLLoader(manager).parse(buffer), name);
+            break;
+        case 'ply': {
+            // PLY files without faces are point clouds
+            const geometry = new PLYLoader(manager).parse(buffer);
+            scene = createObjectFromGeometry(geometry, name, !geometry.index);
+            break;
+        }
+        case '3mf':
+            scene = new ThreeMFLoader(manager).parse(buffer);
+            break;
+        default:
+            throw new Error(`Unsupported model format: ${format}`);
+    }
+
+    const cameras = [];
+    scene.traverse((child) => {
+        if (child.isCamera) cameras.push(child);
+    });
+
+    return { scene, scenes: [scene], animations: scene.animations || [], cameras, format };
+}
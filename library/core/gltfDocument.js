@@ -0,0 +1,78 @@
+import { WebIO } from '@gltf-transform/core';
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions';
+import { simplify, weld, quantize, cloneDocument } from '@gltf-transform/functions';
+import { MeshoptSimplifier, MeshoptDecoder } from 'meshoptimizer';
+
+/**
+ * glTF-Transform helpers shared by in-memory LOD generation on the main
+ * thread and the loader worker. Nothing here touches three.js or the DOM.
+ */
+
+const COMPRESSION_EXTENSIONS = ['EXT_meshopt_compression', 'KHR_draco_mesh_compression'];
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const JSON_CHUNK = 0x4e4f534a; // 'JSON'
+
+/**
+ * The JSON chunk of a GLB, or null when `bytes` is not a GLB
+ */
+export function readGLBJSON(bytes) {
+    if (bytes.byteLength < 20) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (view.getUint32(0, true) !== GLB_MAGIC || view.getUint32(16, true) !== JSON_CHUNK) return null;
+
+    const length = view.getUint32(12, true);
+    return JSON.parse(new TextDecoder().decode(bytes.subarray(20, 20 + length)));
+}
+
+/**
+ * Read a GLB into a glTF-Transform document, decoding meshopt and Draco
+ * compression. Compression extensions are dropped so the document is
+ * written (or handed over) uncompressed. `dracoDecoder` resolves with the
+ * Draco decoder module and is only called for Draco GLBs; without it they
+ * are rejected.
+ */
+export async function readDocument(bytes, { dracoDecoder = null } = {}) {
+    await MeshoptDecoder.ready;
+    // quantize() relies on KHR_mesh_quantization being registered for output
+    const io = new WebIO()
+        .registerExtensions(ALL_EXTENSIONS)
+        .registerDependencies({ 'meshopt.decoder': MeshoptDecoder });
+
+    if (readGLBJSON(bytes)?.extensionsUsed?.includes('KHR_draco_mesh_compression')) {
+        if (!dracoDecoder) {
+            throw new Error('Draco-compressed glTF needs the Draco decoder, which is disabled');
+        }
+        let decoder;
+        try {
+            decoder = await dracoDecoder();
+        } catch (error) {
+            throw new Error(`Draco-compressed glTF needs the Draco decoder, which failed to load: ${error.message}`);
+        }
+        io.registerDependencies({ 'draco3d.decoder': decoder });
+    }
+
+    const document = await io.readBinary(bytes);
+    for (const extension of document.getRoot().listExtensionsUsed()) {
+        if (COMPRESSION_EXTENSIONS.includes(extension.extensionName)) {
+            extension.dispose();
+        }
+    }
+    return { io, document };
+}
+
+/**
+ * A simplified copy of `document` for one LOD level, or `document` itself
+ * when the level has no ratio (LOD0 by default)
+ */
+export async function simplifyDocument(document, { ratio, error = 0.01 }) {
+    if (ratio === undefined || ratio >= 1) return document;
+
+    await MeshoptSimplifier.ready;
+    const clone = await cloneDocument(document);
+    await clone.transform(
+        weld(), quantize(),
+        simplify({ simplifier: MeshoptSimplifier, ratio, error })
+    );
+    return clone;
+}
@@ -0,0 +1,222 @@
+import { fetchWithRetry } from "./fetcher.js";
+import { readDocument, readGLBJSON, simplifyDocument } from "./gltfDocument.js";
+import { isAbortError, runStage } from "../utils/errors.js";
+import { loaderEvents } from "./events.js";
+import { Config } from "../utils/config.js";
+
+/**
+ * Loader worker. Fetches a GLB, decodes it and optionally simplifies it into
+ * LOD levels, then posts back a plain description of each scene whose vertex,
+ * index and image buffers are transferred rather than copied. workerLoader.js
+ * builds the three.js objects from it on the main thread.
+ *
+ * Messages in:  { type: 'load', id, url, lodLevels, retry, integrity, persist } | { type: 'abort', id }
+ * Messages out: { id, scenes } | { id, fallback, buffer } | { id, error: { name, message, url, stage } }
+ *               | { warning: { url, stage, message } }
+ *
+ * `fallback` names what the worker can't build, `buffer` holds the fetched
+ * bytes so the main thread can parse them without downloading them again.
+ */
+
+// Extensions serializeDocument carries over; any other falls back
+const SUPPORTED_EXTENSIONS = ['KHR_mesh_quantization', 'EXT_meshopt_compression'];
+const SUPPORTED_MODES = [0, 1, 4]; // POINTS, LINES, TRIANGLES
+
+const controllers = new Map();
+
+// Warnings raised here (e.g. by the persistent cache) are re-dispatched on
+// the main thread's loaderEvents
+loaderEvents.addEventListener('load-warning', ({ url, stage, message }) => {
+    self.postMessage({ warning: { url, stage, message } });
+});
+
+/**
+ * Copy of an array with its own buffer, so it can be transferred
+ */
+function ownArray(array, transfer) {
+    const copy = array.slice();
+    transfer.push(copy.buffer);
+    return copy;
+}
+
+/**
+ * What in a GLB the worker can't build like GLTFLoader would, or null
+ */
+function findUnsupported(bytes) {
+    const json = readGLBJSON(bytes);
+    if (!json) return 'no GLB header (glTF JSON)';
+
+    const extension = (json.extensionsUsed || []).find((name) => !SUPPORTED_EXTENSIONS.includes(name));
+    if (extension) return `the ${extension} extension`;
+    if (json.skins?.length) return 'skins';
+    if (json.animations?.length) return 'animations';
+    if ((json.images || []).some((image) => image.mimeType === 'image/ktx2')) return 'KTX2 textures';
+    if ((json.cameras || []).some((camera) => camera.type !== 'perspective')) return 'orthographic cameras';
+
+    for (const mesh of json.meshes || []) {
+        for (const primitive of mesh.primitives) {
+            if (primitive.targets?.length) return 'morph targets';
+            if (!SUPPORTED_MODES.includes(primitive.mode ?? 4)) return `primitive mode ${primitive.mode}`;
+        }
+    }
+    return null;
+}
+
+function serializeTextureInfo(info, textureIndex) {
+    if (!info) return null;
+    return { texture: textureIndex, wrapS: info.getWrapS(), wrapT: info.getWrapT() };
+}
+
+/**
+ * Describe the default scene of a document. Documents with skins, morph
+ * targets or animations never get here (see findUnsupported).
+ */
+function serializeDocument(document, transfer) {
+    const root = document.getRoot();
+    const scene = root.getDefaultScene() || root.listScenes()[0];
+
+    const accessors = new Map();
+    const accessorList = [];
+    const getAccessor = (accessor) => {
+        if (!accessors.has(accessor)) {
+            accessors.set(accessor, accessorList.length);
+            accessorList.push({
+                array: ownArray(accessor.getArray(), transfer),
+                itemSize: accessor.getElementSize(),
+                normalized: accessor.getNormalized(),
+            });
+        }
+        return accessors.get(accessor);
+    };
+
+    const textures = root.listTextures().map((texture) => {
+        const image = texture.getImage();
+        return { mimeType: texture.getMimeType(), image: image ? ownArray(image, transfer) : null };
+    });
+    const textureIndex = (texture) => (texture ? root.listTextures().indexOf(texture) : -1);
+
+    const vertexColorMaterials = new Set();
+    const meshes = root.listMeshes().map((mesh) => ({
+        name: mesh.getName(),
+        primitives: mesh.listPrimitives().map((primitive) => {
+            const attributes = {};
+            for (const semantic of primitive.listSemantics()) {
+                attributes[semantic] = getAccessor(primitive.getAttribute(semantic));
+            }
+            const material = primitive.getMaterial();
+            if (material && attributes.COLOR_0 !== undefined) vertexColorMaterials.add(material);
+
+            const indices = primitive.getIndices();
+            return {
+                attributes,
+                indices: indices ? getAccessor(indices) : -1,
+                material: material ? root.listMaterials().indexOf(material) : -1,
+                mode: primitive.getMode(),
+            };
+        }),
+    }));
+
+    const materials = root.listMaterials().map((material) => {
+        const maps = {};
+        const addMap = (name, texture, info) => {
+            if (texture) maps[name] = serializeTextureInfo(info, textureIndex(texture));
+        };
+        addMap('map', material.getBaseColorTexture(), material.getBaseColorTextureInfo());
+        addMap('normalMap', material.getNormalTexture(), material.getNormalTextureInfo());
+        addMap('metalnessMap', material.getMetallicRoughnessTexture(), material.getMetallicRoughnessTextureInfo());
+        addMap('emissiveMap', material.getEmissiveTexture(), material.getEmissiveTextureInfo());
+        addMap('aoMap', material.getOcclusionTexture(), material.getOcclusionTextureInfo());
+
+        return {
+            name: material.getName(),
+            color: material.getBaseColorFactor(),
+            metalness: material.getMetallicFactor(),
+            roughness: material.getRoughnessFactor(),
+            emissive: material.getEmissiveFactor(),
+            normalScale: material.getNormalScale(),
+            alphaMode: material.getAlphaMode(),
+            alphaCutoff: material.getAlphaCutoff(),
+            doubleSided: material.getDoubleSided(),
+            vertexColors: vertexColorMaterials.has(material),
+            maps,
+        };
+    });
+
+    const nodeList = root.listNodes();
+    const nodes = nodeList.map((node) => {
+        const camera = node.getCamera();
+        return {
+            name: node.getName(),
+            translation: node.getTranslation(),
+            rotation: node.getRotation(),
+            scale: node.getScale(),
+            mesh: node.getMesh() ? root.listMeshes().indexOf(node.getMesh()) : -1,
+            camera: camera && camera.getType() === 'perspective' ? {
+                name: camera.getName(),
+                yfov: camera.getYFov(),
+                aspectRatio: camera.getAspectRatio(),
+                znear: camera.getZNear(),
+                zfar: camera.getZFar(),
+            } : null,
+            children: node.listChildren().map((child) => nodeList.indexOf(child)),
+        };
+    });
+
+    return {
+        name: scene ? scene.getName() : '',
+        roots: scene ? scene.listChildren().map((node) => nodeList.indexOf(node)) : [],
+        nodes,
+        meshes,
+        materials,
+        textures,
+        accessors: accessorList,
+    };
+}
+
+async function load({ id, url, lodLevels, retry, integrity, persist }, signal) {
+    // Share the main thread's persistent cache database
+    if (persist) Object.assign(Config.persistentCache, { name: persist.name, quota: persist.quota });
+    const bytes = new Uint8Array(await fetchWithRetry(url, { signal, retry, integrity, persist }));
+
+    const unsupported = await runStage('parse', url, () => findUnsupported(bytes));
+    if (unsupported) {
+        const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+        self.postMessage({ id, fallback: unsupported, buffer }, [buffer]);
+        return;
+    }
+
+    const { document } = await runStage('parse', url, () => readDocument(bytes));
+    const levels = lodLevels || [{}];
+
+    const transfer = [];
+    const scenes = [];
+    for (const level of levels) {
+        if (signal.aborted) return;
+        const simplified = await runStage('simplify', url, () => simplifyDocument(document, level));
+        scenes.push(serializeDocument(simplified, transfer));
+    }
+    self.postMessage({ id, scenes }, transfer);
+}
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'abort') {
+        controllers.get(data.id)?.abort();
+        return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(data.id, controller);
+    try {
+        await load(data, controller.signal);
+    } catch (error) {
+        // The main thread has already rejected aborted loads
+        if (!isAbortError(error)) {
+            self.postMessage({
+                id: data.id,
+                error: { name: error.name, message: error.message, url: error.url ?? data.url, stage: error.stage ?? null },
+            });
+        }
+    } finally {
+        controllers.delete(data.id);
+    }
+};
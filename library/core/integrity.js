@@ -0,0 +1,75 @@
+import { IntegrityError } from "../utils/errors.js";
+
+/**
+ * Subresource integrity checks for fetched assets. Digests use the SRI
+ * format, `<algorithm>-<base64 digest>`; several may be given separated by
+ * spaces (or as an array), and the bytes must match one of the strongest.
+ */
+
+// SRI names, Web Crypto names and Node/crypto-browserify names
+const ALGORITHMS = {
+    sha256: { subtle: 'SHA-256', node: 'sha256', strength: 1 },
+    sha384: { subtle: 'SHA-384', node: 'sha384', strength: 2 },
+    sha512: { subtle: 'SHA-512', node: 'sha512', strength: 3 },
+};
+
+/**
+ * Parse integrity metadata into { algorithm, digest } entries, keeping
+ * only the strongest algorithm present like browsers do
+ */
+export function parseIntegrity(integrity) {
+    const tokens = (Array.isArray(integrity) ? integrity : String(integrity).split(/\s+/))
+        .filter(Boolean);
+
+    const entries = tokens.map((token) => {
+        const match = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(\?.*)?$/.exec(token.trim());
+        if (!match) {
+            throw new Error(`Unsupported integrity value: ${token}`);
+        }
+        return { algorithm: match[1], digest: match[2] };
+    });
+    if (entries.length === 0) {
+        throw new Error('Integrity metadata is empty');
+    }
+
+    const strongest = Math.max(...entries.map(({ algorithm }) => ALGORITHMS[algorithm].strength));
+    return entries.filter(({ algorithm }) => ALGORITHMS[algorithm].strength === strongest);
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Base64 digest of `buffer`. Web Crypto is only available in secure
+ * contexts, so plain-http pages fall back to crypto-browserify.
+ */
+export async function computeDigest(algorithm, buffer) {
+    const { subtle, node } = ALGORITHMS[algorithm];
+
+    if (globalThis.crypto?.subtle) {
+        return toBase64(new Uint8Array(await globalThis.crypto.subtle.digest(subtle, buffer)));
+    }
+
+    const { createHash } = await import('crypto-browserify');
+    return createHash(node).update(new Uint8Array(buffer)).digest('base64');
+}
+
+/**
+ * Reject with an IntegrityError unless `buffer` matches `integrity`
+ */
+export async function verifyIntegrity(buffer, integrity, url = null) {
+    const entries = parseIntegrity(integrity);
+    const { algorithm } = entries[0];
+    const actual = await computeDigest(algorithm, buffer);
+
+    if (!entries.some(({ digest }) => digest === actual)) {
+        const expected = entries.map(({ algorithm: name, digest }) => `${name}-${digest}`).join(' ');
+        throw new IntegrityError(url, expected, `${algorithm}-${actual}`);
+    }
+    return buffer;
+}
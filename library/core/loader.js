@@ -1,75 +1,484 @@
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { RGBELoader } from "three/examples/jsm/loaders/RGBELoader.js";
-import { WebIO } from '@gltf-transform/core';
-import { simplify, weld, quantize, cloneDocument } from '@gltf-transform/functions';
-import { MeshoptSimplifier } from 'meshoptimizer';
+import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
+import { clone as cloneSkinned } from "three/examples/jsm/utils/SkeletonUtils.js";
+import { configureGLTFLoader, getDracoDecoderModule, resolveDecoderOptions } from "./decoders.js";
+import { readDocument, simplifyDocument } from "./gltfDocument.js";
+import { loadGLTFInWorker } from "./workerLoader.js";
+import { detectFormat, parseModel } from "./formats.js";
+import { detectTextureFormat, decodeTexture, applyTextureOptions } from "./textures.js";
+import { isFileInput, createFileSource } from "./fileSource.js";
+import { assetCache } from "./assetCache.js";
+import {
+    fetchWithRetry,
+    loadFromBuffer,
+    resolveLocalURL,
+    throwIfAborted,
+    isPersisted,
+    createLinkedController,
+} from "./fetcher.js";
+import { loadLODManifest } from "./lodManifest.js";
+import { updateManager } from "./lodManager.js";
+import { fetchScheduler } from "./fetchScheduler.js";
+import { LoadError, isAbortError, runStage } from "../utils/errors.js";
+import { emitLoaderEvent } from "./events.js";
+import { Config } from "../utils/config.js";
+import { Helpers } from "../utils/helpers.js";
 
 // GLTF/GLB Loader utility (modified for LOD)
-const simplifierReady = MeshoptSimplifier.ready;
+// Kept here for existing imports of the loader
+export { updateManager };
 
 // Define default LOD levels. This can be overridden via options.
-// const DEFAULT_LOD_LEVELS = [
-//     { ratio: 0.3, distance: 20, error: 0.02 }, // Medium detail
-//     { ratio: 0.1, distance: 50, error: 0.05 }, // Low detail
-// ];
+// ratio is only used by `lod: 'generate'`; error also drives screen-space-error
+// selection (see Config.lod). Both match the CLI defaults.
+const DEFAULT_LOD_LEVELS = [
+    { distance: 0 },                           // LOD0 (highest detail)
+    { distance: 10, ratio: 0.3, error: 0.02 }, // LOD1
+    { distance: 20, ratio: 0.1, error: 0.05 }, // LOD2 (lowest detail)
+];
 
 /**
- * Manages all LOD objects that need updating each frame.
- * The user should call updateManager.update(camera) in their animation loop.
+ * Simplifies a single GLB in memory and parses one glTF per LOD level.
+ * Levels without a ratio (LOD0 by default) keep the original geometry.
  */
-export const updateManager = {
-    lods: new Set(),
-    add(lod) {
-        this.lods.add(lod);
-        lod.userData.currentLevel = -1;
-    },
-    remove(lod) {
-        this.lods.delete(lod);
-    },
-    // update(camera) {
-    //     for (const lod of this.lods) {
-    //         // const previousLevel = lod.userData.currentLevel;
-    //         lod.update(camera);
-    //         // const newLevel = lod.getCurrentLevel();
-    //         // if (previousLevel !== newLevel) {
-    //         //     // console.log(`LOD Switched MESH: ${lod.uuid}, PREVIOUS_LEVEL: ${previousLevel}, NEW_LEVEL: ${newLevel}`)
-    //         //     lod.userData.currentLevel = newLevel;
-    //         // }
-
-    //     }
-    // }
-    update(camera) {
-        for (const lod of this.lods) {
-            const prevLevel = lod.userData.currentLevel;
-
-            // Update which mesh should be active
-            lod.update(camera);
-
-            // Find the currently active level
-            const currentLevel = lod.getCurrentLevel();
-
-            // Log only when the active level changes
-            if (currentLevel !== prevLevel) {
-                console.log(
-                    `%cLOD SWITCHED!`,
-                    "color: #4ade80; font-weight: bold;",
-                    `Mesh: ${lod.uuid}, Prev Level: ${prevLevel}, New Level: ${currentLevel}`
-                );
-
-                lod.userData.currentLevel = currentLevel;
-            }
+async function generateLODs(loader, url, lodLevels, { signal = null, retry = {}, onProgress = null, integrity = null, persist = null, decoders = {} } = {}) {
+    const buffer = await fetchWithRetry(url, { signal, retry, onProgress, integrity, persist });
+    return generateLODsFromBuffer(loader, url, new Uint8Array(buffer), lodLevels, { signal, decoders });
+}
+
+/**
+ * generateLODs on bytes that were already fetched. Draco GLBs are decoded
+ * with the decoder build at the configured Draco decoderPath.
+ */
+async function generateLODsFromBuffer(loader, url, originalBuffer, lodLevels, { signal = null, decoders = {} } = {}) {
+    const { draco } = resolveDecoderOptions(decoders);
+    const dracoDecoder = draco.enabled ? () => getDracoDecoderModule(draco) : null;
+    // Levels are parsed straight from memory, so they are written uncompressed
+    const { io, document } = await runStage('parse', url, () => readDocument(originalBuffer, { dracoDecoder }));
+
+    const buffers = [];
+    for (const level of lodLevels) {
+        // Simplification is the expensive part, so check between levels
+        throwIfAborted(signal, url);
+        const simplified = await runStage('simplify', url, () => simplifyDocument(document, level));
+        buffers.push(simplified === document ? originalBuffer : await io.writeBinary(simplified));
+    }
+
+    // GLTFLoader wants a standalone ArrayBuffer, not a view into a larger one
+    const resourcePath = THREE.LoaderUtils.extractUrlBase(url);
+    const gltfs = await runStage('parse', url, () => Promise.all(buffers.map((bytes) => loader.parseAsync(
+        bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+        resourcePath
+    ))));
+
+    if (signal?.aborted) {
+        gltfs.forEach((gltf) => Helpers.disposeObject(gltf.scene));
+        throwIfAborted(signal, url);
+    }
+    return gltfs;
+}
+
+/**
+ * Fetch and parse a single glTF/GLB file
+ */
+async function fetchGLTF(loader, url, { signal = null, retry = {}, onProgress = null, integrity = null, persist = null } = {}) {
+    const buffer = await fetchWithRetry(url, { signal, retry, onProgress, integrity, persist });
+    return parseGLTF(loader, url, buffer, signal);
+}
+
+/**
+ * Parse glTF/GLB bytes that were already fetched
+ */
+async function parseGLTF(loader, url, buffer, signal = null) {
+    const gltf = await runStage('parse', url, () => loader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(url)));
+
+    if (signal?.aborted) {
+        Helpers.disposeObject(gltf.scene);
+        throwIfAborted(signal, url);
+    }
+    return gltf;
+}
+
+/**
+ * Fetch and parse a model of any supported format. The format is `format`
+ * when given, else taken from the extension, the response's Content-Type or
+ * the file's magic bytes.
+ */
+async function fetchModel(loader, url, { format = null, mtl = null, signal = null, retry = {}, onProgress = null, manager = null, integrity = null, persist = null } = {}) {
+    let mimeType = null;
+    const buffer = await fetchWithRetry(url, {
+        signal,
+        retry,
+        onProgress,
+        integrity,
+        persist,
+        onResponse: (response) => {
+            mimeType = response.headers.get('Content-Type');
+        },
+    });
+
+    const detected = detectFormat({ format, url, mimeType, buffer });
+    if (!detected) {
+        throw new LoadError(`Could not detect the model format of ${url}`, { url, stage: 'detect' });
+    }
+
+    const result = await runStage('parse', url, () => (detected === 'gltf'
+        ? loader.parseAsync(buffer, THREE.LoaderUtils.extractUrlBase(url))
+        : parseModel(detected, buffer, { url, mtl, signal, retry, manager })));
+
+    if (signal?.aborted) {
+        Helpers.disposeObject(result.scene);
+        throwIfAborted(signal, url);
+    }
+    return { ...result, format: detected };
+}
+
+/**
+ * Array fallbacks name alternatives for the requested URL itself, so they
+ * don't apply to derived LOD files. Function fallbacks map any file.
+ */
+function retryForFile(retry, file, url) {
+    if (retry === false || file === url || !Array.isArray(retry.fallbackUrls)) return retry;
+    return { ...retry, fallbackUrls: [] };
+}
+
+/**
+ * Combine the download progress of several files into one callback.
+ * Returns a factory for the per-file callbacks.
+ */
+function sumProgress(onProgress, fileCount) {
+    const files = new Map();
+    return (file) => onProgress && ((event) => {
+        files.set(file, event);
+        let loaded = 0;
+        let total = 0;
+        for (const progress of files.values()) {
+            loaded += progress.loaded;
+            total += progress.total;
         }
+        const lengthComputable = files.size === fileCount
+            && [...files.values()].every((progress) => progress.lengthComputable);
+        onProgress({ loaded, total, lengthComputable });
+    });
+}
+
+/**
+ * Run a load between load-start and load-complete, load-error or load-abort
+ * events, dispatching its download progress as progress events
+ */
+async function trackLoad(assetType, url, options, load) {
+    const started = performance.now();
+    const { onDownloadProgress = null } = options;
+    emitLoaderEvent('load-start', { url, assetType });
+
+    try {
+        const result = await load(url, {
+            ...options,
+            onDownloadProgress: (progress) => {
+                emitLoaderEvent('progress', { url, assetType, loaded: progress.loaded, total: progress.total });
+                if (onDownloadProgress) onDownloadProgress(progress);
+            },
+        });
+        emitLoaderEvent('load-complete', { url, assetType, duration: performance.now() - started });
+        return result;
+    } catch (error) {
+        if (isAbortError(error)) {
+            emitLoaderEvent('load-abort', { url, assetType });
+        } else {
+            emitLoaderEvent('load-error', { url, assetType, stage: error.stage ?? null, error });
+        }
+        throw error;
     }
-};
+}
 
-const DEFAULT_LOD_LEVELS = [
-    { distance: 0 },   // LOD0 (highest detail)
-    { distance: 10 },  // LOD1
-    { distance: 20 },  // LOD2 (lowest detail)
-];
+/**
+ * Clone a glTF result so the clone shares geometry, materials and
+ * animation clips with the cached original.
+ */
+function cloneGLTF(gltf) {
+    return { ...gltf, scene: cloneSkinned(gltf.scene) };
+}
+
+/**
+ * Cache key for a file. Bytes cached without a digest check must not
+ * satisfy a load that asks for one, so verified loads get their own entry.
+ */
+function cacheKey(file, integrity = null) {
+    return integrity ? `${file}#integrity=${integrity}` : file;
+}
+
+/**
+ * Tracks the cache entries acquired for one model so they can all be
+ * released together. With caching disabled everything loads directly.
+ * With `worker` set, fetching, decoding and simplification run in the
+ * loader worker instead of on the main thread, except for .gltf files
+ * (their buffers and textures are resolved by the loader's manager) and
+ * models the worker hands back to be parsed here.
+ */
+function createCacheHandle(enabled, signal, worker = false) {
+    const keys = [];
+    let released = false;
+
+    const inWorker = (file) => worker && !/\.gltf$/i.test(file.split(/[?#]/)[0]);
+
+    // Worker loads don't report download progress
+    const fetchOne = (loader, file, options) => (inWorker(file)
+        ? loadGLTFInWorker(file, { ...options, fallback: (buffer) => parseGLTF(loader, file, buffer, options.signal) })
+        : fetchGLTF(loader, file, options));
+    const generate = (loader, url, lodLevels, options) => (inWorker(url)
+        ? loadGLTFInWorker(url, {
+            ...options,
+            lodLevels,
+            fallback: (buffer) => generateLODsFromBuffer(loader, url, new Uint8Array(buffer), lodLevels, options),
+        })
+        : generateLODs(loader, url, lodLevels, options));
+
+    const acquire = async (key, load) => {
+        const resource = await assetCache.acquire(key, load, signal);
+        // The model was released while this entry was still loading
+        if (released) {
+            assetCache.release(key);
+        } else {
+            keys.push(key);
+        }
+        return resource;
+    };
+
+    return {
+        async loadGLTF(loader, file, { retry, onProgress = null, integrity = null, persist = null }) {
+            if (!enabled) return fetchOne(loader, file, { signal, retry, onProgress, integrity, persist });
+            // Only the caller that starts a shared load sees its progress
+            const { gltf } = await acquire(cacheKey(file, integrity), async (loadSignal) => {
+                const gltf = await fetchOne(loader, file, { signal: loadSignal, retry, onProgress, integrity, persist });
+                return { gltf, dispose: () => Helpers.disposeObject(gltf.scene) };
+            });
+            return cloneGLTF(gltf);
+        },
+        async generateLODs(loader, url, lodLevels, { retry, onProgress = null, integrity = null, persist = null, decoders = {} }) {
+            if (!enabled) return generate(loader, url, lodLevels, { signal, retry, onProgress, integrity, persist, decoders });
+            const key = `${cacheKey(url, integrity)}#generate:${JSON.stringify(lodLevels)}`;
+            const { gltfs } = await acquire(key, async (loadSignal) => {
+                const gltfs = await generate(loader, url, lodLevels, { signal: loadSignal, retry, onProgress, integrity, persist, decoders });
+                return { gltfs, dispose: () => gltfs.forEach((gltf) => Helpers.disposeObject(gltf.scene)) };
+            });
+            return gltfs.map(cloneGLTF);
+        },
+        async loadModel(loader, file, { format, mtl, retry, onProgress, manager, integrity, persist }) {
+            if (!enabled) return fetchModel(loader, file, { format, mtl, retry, onProgress, manager, integrity, persist, signal });
+            // A format override or another material file gives a different model
+            const key = `${cacheKey(file, integrity)}#model:${format ?? ''}:${mtl ?? ''}`;
+            const { gltf, format: detected } = await acquire(key, async (loadSignal) => {
+                const gltf = await fetchModel(loader, file, {
+                    format, mtl, retry, onProgress, manager, integrity, persist, signal: loadSignal,
+                });
+                return { gltf, format: gltf.format, dispose: () => Helpers.disposeObject(gltf.scene) };
+            });
+            return { ...cloneGLTF(gltf), format: detected };
+        },
+        // Drop this model's references to one file, e.g. when its LOD level is evicted
+        releaseFile(file) {
+            for (let i = keys.length - 1; i >= 0; i--) {
+                if (keys[i] === file || keys[i].startsWith(`${file}#integrity=`)) {
+                    assetCache.release(keys.splice(i, 1)[0]);
+                }
+            }
+        },
+        attach(model) {
+            if (!enabled) return;
+            model.userData.release = () => {
+                released = true;
+                keys.splice(0).forEach((key) => assetCache.release(key));
+            };
+        },
+    };
+}
+
+/**
+ * Key identifying an object across LOD files, by its name or by the path
+ * of names from the scene root. Unnamed nodes use their child index.
+ */
+function getNodeKey(object, root, match) {
+    if (match === 'name' && object.name) return object.name;
+
+    const parts = [];
+    for (let node = object; node && node !== root; node = node.parent) {
+        parts.unshift(node.name || `#${node.parent.children.indexOf(node)}`);
+    }
+    return parts.join('/');
+}
+
+/**
+ * Builds the LOD hierarchy of a model one level at a time.
+ * With `granularity: 'scene'` every level is a whole glTF scene inside a single
+ * THREE.LOD. With 'node' (top-level nodes) or 'mesh' (every mesh) the objects
+ * matched across levels each get their own THREE.LOD, positioned at the centre
+ * of their bounds, so the parts of a large model switch independently.
+ * Levels take their `hysteresis` band from the level descriptor or Config.lod.
+ * Each level keeps its simplification `error` in `userData.lodError`, and every
+ * LOD is registered with the updateManager until `dispose()` is called.
+ *
+ * With a `reloader` ({ load(file, lod), release(file, part, unused) }) every LOD
+ * gets a `userData.lodSource` the updateManager uses to evict levels and
+ * fetch them again. `unused` is true once no part of a file is loaded.
+ */
+function createLODBuilder(granularity = 'scene', match = 'name', reloader = null) {
+    const lods = [];
+    const partsByFile = new Map();
+    const model = granularity === 'scene' ? new THREE.LOD() : new THREE.Group();
+    const lodsByKey = new Map();
+
+    const dispose = () => lods.forEach((lod) => updateManager.remove(lod));
 
+    const countPart = (file, change) => {
+        const parts = (partsByFile.get(file) || 0) + change;
+        partsByFile.set(file, parts);
+        return parts;
+    };
+
+    // Placement and bounds of every part of a scene, captured before anything is detached
+    const collectParts = (scene) => {
+        if (granularity === 'scene') return [{ target: scene, key: null }];
+
+        scene.updateMatrixWorld(true);
+        const sceneInverse = scene.matrixWorld.clone().invert();
+
+        const targets = [];
+        if (granularity === 'mesh') {
+            scene.traverse((object) => {
+                if (object.isMesh) targets.push(object);
+            });
+        } else {
+            targets.push(...scene.children);
+        }
+
+        return targets.map((target) => ({
+            target,
+            key: getNodeKey(target, scene, match),
+            matrix: sceneInverse.clone().multiply(target.matrixWorld),
+            bounds: new THREE.Box3().setFromObject(target).applyMatrix4(sceneInverse),
+        }));
+    };
+
+    // Detach a part and place it relative to the centre of its LOD
+    const placePart = ({ target, matrix }, lod) => {
+        if (granularity === 'scene') return target;
+        target.removeFromParent();
+        matrix.decompose(target.position, target.quaternion, target.scale);
+        target.position.sub(lod.position);
+        return target;
+    };
+
+    const source = reloader && {
+        async load(lod, level) {
+            const { lodFile: file, lodError } = level.object.userData;
+            const scene = await reloader.load(file, lod);
+            const part = collectParts(scene).find(({ key }) => key === (granularity === 'scene' ? null : lod.name));
+            if (!part) throw new Error(`LOD part ${lod.name} not found in ${file}`);
+
+            const object = placePart(part, lod);
+            object.userData.lodFile = file;
+            object.userData.lodError = lodError;
+            countPart(file, 1);
+            return object;
+        },
+        unload(lod, object) {
+            const file = object.userData.lodFile;
+            reloader.release(file, object, countPart(file, -1) === 0);
+        },
+    };
+
+    const getLOD = (key, bounds) => {
+        if (granularity === 'scene') return model;
+
+        let lod = lodsByKey.get(key);
+        if (!lod) {
+            lod = new THREE.LOD();
+            lod.name = key;
+            if (!bounds.isEmpty()) bounds.getCenter(lod.position);
+            lodsByKey.set(key, lod);
+            model.add(lod);
+        }
+        return lod;
+    };
+
+    const addLevel = (scene, { distance, error, hysteresis = Config.lod.hysteresis }, file = null) => {
+        for (const part of collectParts(scene)) {
+            const lod = getLOD(part.key, part.bounds);
+            if (!lods.includes(lod)) {
+                if (source) lod.userData.lodSource = source;
+                lods.push(lod);
+                updateManager.add(lod);
+            }
+
+            const object = placePart(part, lod);
+            object.userData.lodError = error;
+            if (file) {
+                object.userData.lodFile = file;
+                countPart(file, 1);
+            }
+            lod.addLevel(object, distance, hysteresis);
+        }
+    };
+
+    return { model, lods, addLevel, dispose };
+}
+
+/**
+ * Load a model from a File, Blob, ArrayBuffer or FileList (see
+ * fileSource.js). The files stay readable until the model is disposed,
+ * since LOD levels may still be fetched from them.
+ */
+async function loadModelFromFiles(input, options, load) {
+    const source = createFileSource(input, options);
+    const { lod } = options;
+    // A LOD manifest among the files is named relative to the model
+    const manifest = typeof lod === 'string' && lod !== 'generate'
+        && THREE.LoaderUtils.resolveURL(lod, THREE.LoaderUtils.extractUrlBase(source.url));
+    try {
+        const result = await load(source.url, {
+            format: source.format,
+            ...options,
+            ...(manifest && resolveLocalURL(manifest) ? { lod: manifest } : {}),
+            manager: source.manager,
+        });
+        const { dispose } = result.model.userData;
+        result.model.userData.dispose = () => {
+            if (dispose) dispose();
+            source.dispose();
+        };
+        return result;
+    } catch (error) {
+        source.dispose();
+        throw error;
+    }
+}
+
+/**
+ * GLTF/GLB Loader utility.
+ * `lod: true` loads pre-generated `_LOD<n>.glb` files, `lod: 'generate'`
+ * simplifies a single GLB at load time using the ratio/error of `lodLevels`,
+ * and any other string is the URL of a LOD manifest written by the CLI.
+ * `lodGranularity: 'node' | 'mesh'` builds one LOD per top-level node or mesh,
+ * matched across levels by `lodMatch: 'name' | 'path'`.
+ * Aborting `signal` rejects with a LoadAbortError and stops any background
+ * LOD fetches; so does calling `model.userData.dispose()`.
+ * Fetches follow the `retry` policy (see Config.retry); background LOD
+ * failures are reported through `onError` and load-error events (see events.js).
+ * `worker: true` fetches, decodes and simplifies in a Web Worker and only
+ * builds the meshes on the main thread; models the worker can't build
+ * (animations, Draco, KTX2...) are parsed on the main thread instead.
+ * `url` may also be a File, Blob, ArrayBuffer or FileList; referenced
+ * buffers, textures and LOD files are looked up among the given files.
+ */
 export async function loadGLTF(url, options = {}) {
+    if (isFileInput(url)) return loadModelFromFiles(url, options, loadGLTF);
+    return trackLoad('model', url, options, loadGLTFFromURL);
+}
+
+async function loadGLTFFromURL(url, options) {
+
     const {
         scale = [1, 1, 1],
         position = [0, 0, 0],
@@ -78,63 +487,186 @@ export async function loadGLTF(url, options = {}) {
         lod = false,
         lodBaseName = null,
         lodLevels = DEFAULT_LOD_LEVELS,
+        lodGranularity = 'scene', // 'scene', 'node' or 'mesh'
+        lodMatch = 'name',     // Match nodes across LOD files by 'name' or 'path'
         onLoad = null,
         progressiveLOD = true, // 👈 New flag for progressive loading
         onProgress = null,
-        swapDelay = 2000       // 👈 Time (ms) to wait before swapping in higher LODs
+        onError = null,        // Called when a background LOD level fails to load
+        swapDelay = 2000,      // 👈 Time (ms) to wait before swapping in higher LODs
+        decoders = {},         // Per-call overrides for Config.decoders
+        renderer = null,       // Needed for KTX2 texture transcoding
+        cache = Config.cache.enabled, // Share downloads and GPU resources per URL
+        signal = null,         // AbortSignal to cancel the load
+        retry = {},            // Per-call overrides for Config.retry, or false
+        worker = Config.worker.enabled, // Parse and simplify off the main thread
+        onDownloadProgress = null, // ({ loaded, total, lengthComputable }) until the model resolves
+        manager = null,        // LoadingManager resolving referenced files
+        integrity = null,      // SRI digest of `url`, or of the manifest in manifest mode
+        persist = null,        // Persistent cache override, see fetchWithRetry
     } = options;
 
-    const loader = new GLTFLoader();
+    throwIfAborted(signal, url);
+
+    // Owned by the model, so disposing it also stops background LOD fetches
+    const controller = createLinkedController(signal);
+    const loader = configureGLTFLoader(new GLTFLoader(manager || undefined), decoders, renderer);
+    const cacheHandle = createCacheHandle(cache, controller.signal, worker);
 
     // Simple non-LOD load
     if (!lod) {
-        const gltf = await loader.loadAsync(url);
+        const gltf = await cacheHandle.loadGLTF(loader, url, { retry, integrity, persist, onProgress: onDownloadProgress });
         const model = gltf.scene;
         model.scale.set(...scale);
         model.position.set(...position);
         model.rotation.set(...rotation);
+        cacheHandle.attach(model);
         if (onLoad) onLoad({ model, gltf });
         return { model, gltf };
     }
 
-    // Build LOD file paths
-    const baseName = lodBaseName || url.replace(/_LOD\d+\.glb$/, "");
-    const ext = ".glb";
-    const lodFiles = lodLevels.map((_, i) => `${baseName}_LOD${i}.glb`);
+    // Generate LODs in memory from a single GLB
+    if (lod === 'generate') {
+        const gltfs = await cacheHandle.generateLODs(loader, url, lodLevels, {
+            retry, integrity, persist, decoders, onProgress: onDownloadProgress,
+        });
+        // Look for the camera before per-node LODs take the scene apart
+        const camera = findCamera(gltfs[0], useCameraFromFile);
+
+        const builder = createLODBuilder(lodGranularity, lodMatch);
+        const lodObject = builder.model;
+        gltfs.forEach((gltf, i) => builder.addLevel(gltf.scene, lodLevels[i]));
+
+        lodObject.scale.set(...scale);
+        lodObject.position.set(...position);
+        lodObject.rotation.set(...rotation);
+
+        lodObject.userData.dispose = builder.dispose;
+        cacheHandle.attach(lodObject);
+
+        const result = {
+            model: lodObject,
+            gltf: gltfs[0],
+            gltfs,
+            camera,
+            animations: gltfs[0].animations || [],
+        };
+        if (onLoad) onLoad(result);
+        return result;
+    }
+
+    // Build LOD file paths, from a manifest or by the _LOD<n>.glb convention
+    let levels = lodLevels;
+    let lodFiles;
+    let manifest = null;
 
-    const lodObject = new THREE.LOD();
+    if (typeof lod === 'string') {
+        manifest = await loadLODManifest(lod, {
+            signal: controller.signal, retry: retryForFile(retry, lod, url), integrity, persist,
+        });
+        lodFiles = manifest.levels.map((level) => level.url);
+
+        // Switch distances come from the manifest unless explicitly overridden
+        levels = options.lodLevels || manifest.levels;
+        if (levels.length !== lodFiles.length) {
+            throw new LoadError(`lodLevels has ${levels.length} entries but ${lod} lists ${lodFiles.length} levels`, {
+                url: lod,
+                stage: 'manifest',
+            });
+        }
+    } else {
+        const baseName = lodBaseName || url.replace(/_LOD\d+\.glb$/, "");
+        lodFiles = lodLevels.map((_, i) => `${baseName}_LOD${i}.glb`);
+    }
+
+    // Background fetches wait in the shared queue, ordered by how prominent
+    // the given LODs were on screen at the last updateManager.update()
+    // Manifest levels carry their own digests; `integrity` only pins `url` itself
+    const loadOptions = (file, onProgress = null) => ({
+        retry: retryForFile(retry, file, url),
+        integrity: manifest
+            ? manifest.levels.find((level) => level.url === file)?.integrity || null
+            : (file === url ? integrity : null),
+        persist,
+        onProgress,
+    });
+
+    const scheduleLoad = (file, lods) => fetchScheduler.schedule(
+        () => cacheHandle.loadGLTF(loader, file, loadOptions(file)),
+        { priority: () => updateManager.getPriority(lods), signal: controller.signal, key: file }
+    );
+
+    // Lets the updateManager evict unused levels and fetch them again
+    const reloader = {
+        load: async (file, lod) => (await scheduleLoad(file, [lod])).scene,
+        release: (file, part, unused) => {
+            if (!cache) {
+                Helpers.disposeObject(part);
+            } else if (unused) {
+                cacheHandle.releaseFile(file);
+            }
+        },
+    };
+
+    const builder = createLODBuilder(lodGranularity, lodMatch, reloader);
+    const lodObject = builder.model;
+    // Manifest errors are relative to the largest mesh, not the whole scene
+    if (manifest?.meshRadius && lodGranularity === 'scene') {
+        builder.model.userData.meshRadius = manifest.meshRadius;
+    }
+    lodObject.userData.lodManifest = manifest;
+    lodObject.userData.dispose = () => {
+        controller.abort();
+        builder.dispose();
+    };
+    cacheHandle.attach(lodObject);
 
     if (progressiveLOD) {
-        // --- STEP 1: Load only the lowest LOD (last in the array)
-        const lowestIndex = lodLevels.length - 1;
-        const lowGltf = await loader.loadAsync(lodFiles[lowestIndex]);
-        const lowModel = lowGltf.scene;
-        lowModel.scale.set(...scale);
-        lowModel.position.set(...position);
-        lowModel.rotation.set(...rotation);
-        lodObject.addLevel(lowModel, lodLevels[lowestIndex].distance);
+        // --- STEP 1: Load only the lowest LOD (last in the array), or the
+        // finest level already in the persistent cache since it costs no download
+        const lowestIndex = levels.length - 1;
+        let firstIndex = lowestIndex;
+        for (let i = 0; i < lowestIndex; i++) {
+            const { integrity: levelIntegrity } = loadOptions(lodFiles[i]);
+            if (await isPersisted(lodFiles[i], { persist, integrity: levelIntegrity })) {
+                firstIndex = i;
+                break;
+            }
+        }
+        const lowGltf = await cacheHandle.loadGLTF(
+            loader, lodFiles[firstIndex], loadOptions(lodFiles[firstIndex], onDownloadProgress)
+        ).catch((error) => {
+            builder.dispose();
+            throw error;
+        });
+        builder.addLevel(lowGltf.scene, levels[firstIndex], lodFiles[firstIndex]);
+        emitLoaderEvent('lod-level-loaded', { url, model: lodObject, level: firstIndex, file: lodFiles[firstIndex], reloaded: false });
 
         // Trigger initial onLoad (shows low-poly model fast)
         if (onLoad) onLoad({ model: lodObject, gltfs: [lowGltf] });
 
-        // --- STEP 2: Asynchronously load higher LODs
+        // --- STEP 2: Asynchronously load the other LODs, coarse to fine, through the shared queue
         (async () => {
-            for (let i = 0; i < lowestIndex; i++) {
+            for (let i = lowestIndex; i >= 0; i--) {
+                if (i === firstIndex) continue;
+                if (controller.signal.aborted) break;
                 try {
-                    const gltf = await loader.loadAsync(lodFiles[i]);
-                    lodObject.addLevel(gltf.scene, lodLevels[i].distance);
-                    // Callback for console log when high poly model is loaded 
+                    const gltf = await scheduleLoad(lodFiles[i], builder.lods);
+                    builder.addLevel(gltf.scene, levels[i], lodFiles[i]);
+                    emitLoaderEvent('lod-level-loaded', { url, model: lodObject, level: i, file: lodFiles[i], reloaded: false });
                     if (onProgress) {
                         onProgress({
                             level: i,
                             file: lodFiles[i],
                             message: `Loaded LOD${i} (high poly)`
                         });
-                    } else {
-                        console.log(`Loaded LOD${i} (high poly)`);
                     }
                 } catch (err) {
-                    console.warn(`Failed to load LOD${i}:`, err);
+                    if (isAbortError(err)) break;
+                    emitLoaderEvent('load-error', {
+                        url, assetType: 'model', stage: err.stage ?? null, error: err, level: i, file: lodFiles[i],
+                    });
+                    if (onError) onError(err, { level: i, file: lodFiles[i] });
                 }
             }
         })();
@@ -146,8 +678,17 @@ export async function loadGLTF(url, options = {}) {
     }
     else {
         // --- Original behavior: load all LODs at once
-        const gltfs = await Promise.all(lodFiles.map(file => loader.loadAsync(file)));
-        gltfs.forEach((gltf, i) => lodObject.addLevel(gltf.scene, lodLevels[i].distance));
+        const fileProgress = sumProgress(onDownloadProgress, lodFiles.length);
+        const gltfs = await Promise.all(lodFiles.map(file => cacheHandle.loadGLTF(loader, file, loadOptions(file, fileProgress(file)))))
+            .catch((error) => {
+                builder.dispose();
+                lodObject.userData.release?.();
+                throw error;
+            });
+        gltfs.forEach((gltf, i) => {
+            builder.addLevel(gltf.scene, levels[i], lodFiles[i]);
+            emitLoaderEvent('lod-level-loaded', { url, model: lodObject, level: i, file: lodFiles[i], reloaded: false });
+        });
         if (onLoad) onLoad({ model: lodObject, gltfs });
     }
 
@@ -159,112 +700,62 @@ export async function loadGLTF(url, options = {}) {
 }
 
 /**
- * Loads a GLTF model with advanced options and automated LOD generation.
+ * Load a model of any supported format: glTF/GLB, OBJ (+MTL), FBX, STL, PLY
+ * or 3MF. The format comes from `format`, the file extension, the MIME type
+ * or the file's magic bytes. Resolves with { model, animations, camera,
+ * format } and applies the same transforms, caching, cancellation and retry
+ * policy as loadGLTF. LODs are glTF-only, see loadGLTF. Like loadGLTF,
+ * `url` may be a File, Blob, ArrayBuffer or FileList.
  */
-// ----- 2ND LOAD-GLTF FUNCTION -----
-// export async function loadGLTF(url, options = {}) {
-//     // --- Destructure Options with New LOD parameters ---
-//     const {
-//         scale = [1, 1, 1],
-//         position = [0, 0, 0],
-//         rotation = [0, 0, 0],
-//         useCameraFromFile = true,
-//         lod = false, // The main flag to enable LODs
-//         lodLevels = DEFAULT_LOD_LEVELS, // Allow custom LOD configs
-//         onLoad = null,
-//         onProgress = null,
-//         onError = null,
-//     } = options;
+export async function loadModelFile(url, options = {}) {
+    if (isFileInput(url)) return loadModelFromFiles(url, options, loadModelFile);
+    return trackLoad('model', url, options, loadModelFromURL);
+}
 
-//     const gltfLoader = new GLTFLoader();
-
-//     try {
-//         let result;
-
-//         // --- Path 1: Standard Model Loading (lod: false) ---
-//         if (!lod) {
-//             const gltf = await gltfLoader.loadAsync(url, onProgress);
-//             const model = gltf.scene;
-
-//             result = {
-//                 model,
-//                 gltf,
-//                 camera: findCamera(gltf, useCameraFromFile),
-//                 animations: gltf.animations || [],
-//                 scene: gltf.scene,
-//             };
-//         }
-//         // --- Path 2: Automated LOD Generation (lod: true) ---
-//         else {
-//             await simplifierReady; // Ensure meshoptimizer is initialized
-//             const io = new WebIO();
-//             const fileLoader = new THREE.FileLoader();
-//             fileLoader.setResponseType('arraybuffer');
-
-//             // 1. Fetch and read the original model data
-//             const originalBuffer = await fileLoader.loadAsync(url, onProgress);
-
-//             // 2. Generate lower-poly model buffers in memory
-//             const originalUint8Array = new Uint8Array(originalBuffer);
-//             const document = await io.readBinary(originalUint8Array);
-//             const modelBuffers = [originalUint8Array];
-//             for (const level of lodLevels) {
-//                 const docClone = await cloneDocument(document);
-//                 await docClone.transform(
-//                     weld(), quantize(),
-//                     simplify({ simplifier: MeshoptSimplifier, ratio: level.ratio, error: level.error })
-//                 );
-//                 const processedBuffer = await io.writeBinary(docClone);
-//                 modelBuffers.push(processedBuffer); // writeBinary already returns Uint8Array
-//             }
+async function loadModelFromURL(url, options) {
 
-//             // 3. Parse all buffers into Three.js GLTF objects
-//             // Convert Uint8Array back to ArrayBuffer for GLTFLoader
-//             const gltfPromises = modelBuffers.map(uint8Array => {
-//                 const arrayBuffer = uint8Array.buffer.slice(
-//                     uint8Array.byteOffset, 
-//                     uint8Array.byteOffset + uint8Array.byteLength
-//                 );
-//                 return gltfLoader.parseAsync(arrayBuffer, '');
-//             });
-//             const gltfs = await Promise.all(gltfPromises);
-
-//             // 4. Assemble the THREE.LOD object
-//             const lodObject = new THREE.LOD();
-//             const originalGltf = gltfs[0];
-
-//             lodObject.addLevel(originalGltf.scene, 0);
-//             gltfs.slice(1).forEach((gltf, index) => {
-//                 lodObject.addLevel(gltf.scene, lodLevels[index].distance);
-//             });
-
-//             // 5. Register for automatic updates and construct the result object
-//             updateManager.add(lodObject);
-//             lodObject.userData.dispose = () => updateManager.remove(lodObject);
-
-//             result = {
-//                 model: lodObject, // The main object is now the LOD group
-//                 gltf: originalGltf, // The original, high-detail gltf object
-//                 camera: findCamera(originalGltf, useCameraFromFile),
-//                 animations: originalGltf.animations || [],
-//                 scene: lodObject,
-//             };
-//         }
-
-//         // --- Apply transformations to the final model (standard or LOD) ---
-//         result.model.scale.set(...scale);
-//         result.model.position.set(...position);
-//         result.model.rotation.set(...rotation);
-
-//         if (onLoad) onLoad(result);
-//         return result;
-
-//     } catch (error) {
-//         console.error(`Failed to load model from ${url}:`, error);
-//         if (onError) onError(error);
-//         throw error; // Re-throw to reject the promise
-//     }
-// }
+    const {
+        scale = [1, 1, 1],
+        position = [0, 0, 0],
+        rotation = [0, 0, 0],
+        useCameraFromFile = true,
+        format = null,         // Skip detection: 'gltf', 'obj', 'fbx', 'stl', 'ply' or '3mf'
+        mtl = null,            // OBJ material file, instead of the OBJ's mtllib
+        onLoad = null,
+        decoders = {},
+        renderer = null,
+        cache = Config.cache.enabled,
+        signal = null,
+        retry = {},
+        onDownloadProgress = null,
+        manager = null,
+        integrity = null,      // SRI digest the file must match
+        persist = null,        // Persistent cache override, see fetchWithRetry
+    } = options;
+
+    throwIfAborted(signal, url);
+
+    const loader = configureGLTFLoader(new GLTFLoader(manager || undefined), decoders, renderer);
+    const cacheHandle = createCacheHandle(cache, signal);
+    const result = await cacheHandle.loadModel(loader, url, {
+        format, mtl, retry, manager, integrity, persist, onProgress: onDownloadProgress,
+    });
+
+    const model = result.scene;
+    model.scale.set(...scale);
+    model.position.set(...position);
+    model.rotation.set(...rotation);
+    cacheHandle.attach(model);
+
+    const loaded = {
+        model,
+        animations: result.animations || [],
+        camera: findCamera(result, useCameraFromFile),
+        format: result.format,
+    };
+    if (onLoad) onLoad(loaded);
+    return loaded;
+}
 
 /**
  * Helper function to find a camera in a GLTF scene.
@@ -345,64 +836,221 @@ function findCamera(gltf, useCameraFromFile) {
 // }
 
 /**
- * HDRI Loader utility
+ * HDRI format from `format`, the file extension, then the magic bytes
+ * (OpenEXR files start with 0x762f3101, Radiance files with "#?")
  */
-export function loadHDRI(url, scene, options = {}) {
+function detectHDRIFormat(url, buffer, format = null) {
+    if (format) return format;
+
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (extension === 'exr') return 'exr';
+    if (extension === 'hdr' || extension === 'pic') return 'hdr';
+
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 4));
+    if (bytes[0] === 0x76 && bytes[1] === 0x2f && bytes[2] === 0x31 && bytes[3] === 0x01) return 'exr';
+    return 'hdr';
+}
+
+/**
+ * Load an equirectangular HDRI (.hdr or .exr) without touching a scene.
+ * With a renderer, the environment map is prefiltered with PMREMGenerator
+ * so rough reflections sample a blurred mip instead of the raw panorama.
+ * Resolves with { type, texture, background, renderTarget, format, dispose }:
+ * `texture` is the environment map, `background` the texture to show
+ * behind the scene. Textures that end up unused are disposed right away.
+ * `url` may also be a File, Blob or ArrayBuffer.
+ */
+export async function loadHDRIEnvironment(url, options = {}) {
+    if (isFileInput(url)) {
+        const source = createFileSource(url, options);
+        try {
+            return await loadHDRIEnvironment(source.url, options);
+        } finally {
+            source.dispose();
+        }
+    }
+    return trackLoad('hdri', url, options, loadHDRIFromURL);
+}
+
+async function loadHDRIFromURL(url, options) {
+
     const {
+        format = null,
         mapping = THREE.EquirectangularReflectionMapping,
+        renderer = null,
+        pmrem = true,
+        backgroundBlurriness = 0,
+        signal = null,
+        retry = {},
+        onDownloadProgress = null,
+        integrity = null,
+        persist = null,
+    } = options;
+
+    const buffer = await fetchWithRetry(url, { signal, retry, integrity, persist, onProgress: onDownloadProgress });
+    const hdriFormat = detectHDRIFormat(url, buffer, format);
+    const source = await runStage('decode', url, () =>
+        loadFromBuffer(hdriFormat === 'exr' ? new EXRLoader() : new RGBELoader(), buffer));
+
+    if (signal?.aborted) {
+        source.dispose();
+        throwIfAborted(signal, url);
+    }
+    source.mapping = mapping;
+
+    if (!renderer || !pmrem) {
+        return {
+            type: 'hdri',
+            texture: source,
+            background: source,
+            renderTarget: null,
+            format: hdriFormat,
+            dispose: () => source.dispose(),
+        };
+    }
+
+    const generator = new THREE.PMREMGenerator(renderer);
+    const renderTarget = generator.fromEquirectangular(source);
+    generator.dispose();
+
+    // A blurred background samples the prefiltered mips, so the sharp
+    // panorama is only kept when it is shown as is
+    const keepSource = options.setAsBackground !== false && backgroundBlurriness === 0;
+    if (!keepSource) source.dispose();
+
+    return {
+        type: 'hdri',
+        texture: renderTarget.texture,
+        background: keepSource ? source : renderTarget.texture,
+        renderTarget,
+        format: hdriFormat,
+        dispose: () => {
+            renderTarget.dispose();
+            if (keepSource) source.dispose();
+        },
+    };
+}
+
+/**
+ * HDRI Loader utility
+ */
+export async function loadHDRI(url, scene, options = {}) {
+    const {
         setAsBackground = true,
         setAsEnvironment = true,
+        backgroundBlurriness = 0,
+        backgroundIntensity = 1,
+        environmentIntensity = 1,
         onLoad = null,
         onError = null,
     } = options;
 
-    const rgbeLoader = new RGBELoader();
+    try {
+        const environment = await loadHDRIEnvironment(url, options);
+        const { texture } = environment;
 
-    return new Promise((resolve, reject) => {
-        rgbeLoader.load(
-            url,
-            function (texture) {
-                texture.mapping = mapping;
+        if (setAsEnvironment) {
+            scene.environment = texture;
+            scene.environmentIntensity = environmentIntensity;
+        }
 
-                if (setAsEnvironment) {
-                    scene.environment = texture;
-                }
+        if (setAsBackground) {
+            scene.background = environment.background;
+            scene.backgroundBlurriness = backgroundBlurriness;
+            scene.backgroundIntensity = backgroundIntensity;
+        }
 
-                if (setAsBackground) {
-                    scene.background = texture;
-                }
+        // Frees the PMREM render target and the source panorama
+        texture.userData.dispose = environment.dispose;
 
-                if (onLoad) onLoad(texture);
-                resolve(texture);
-            },
-            undefined,
-            function (error) {
-                if (onError) onError(error);
-                reject(error);
-            }
-        );
-    });
+        if (onLoad) onLoad(texture);
+        return texture;
+    } catch (error) {
+        if (onError) onError(error);
+        throw error;
+    }
 }
 
 /**
- * Texture Loader utility
+ * Fetch and decode a texture (KTX2 or an image)
  */
-export function loadTexture(url, options = {}) {
-    const { onLoad = null, onError = null } = options;
-    const loader = new TextureLoader();
-
-    return new Promise((resolve, reject) => {
-        loader.load(
-            url,
-            function (texture) {
-                if (onLoad) onLoad(texture);
-                resolve(texture);
-            },
-            undefined,
-            function (error) {
-                if (onError) onError(error);
-                reject(error);
-            }
-        );
-    });
+async function fetchTexture(url, { format = null, signal = null, retry = {}, onProgress = null, integrity = null, persist = null, ...decodeOptions } = {}) {
+    const buffer = await fetchWithRetry(url, { signal, retry, onProgress, integrity, persist });
+    const texture = await runStage('decode', url, () =>
+        decodeTexture(detectTextureFormat(url, buffer, format), buffer, decodeOptions));
+
+    if (signal?.aborted) {
+        texture.dispose();
+        throwIfAborted(signal, url);
+    }
+    return texture;
+}
+
+/**
+ * Texture Loader utility. Sampling options (colorSpace, wrap/wrapS/wrapT,
+ * repeat, offset, center, rotation, anisotropy, generateMipmaps,
+ * minFilter, magFilter) are applied before the texture is first uploaded.
+ * KTX2 textures need `renderer`. `url` may also be a File, Blob or ArrayBuffer.
+ */
+export async function loadTexture(url, options = {}) {
+    if (isFileInput(url)) {
+        const source = createFileSource(url, options);
+        try {
+            return await loadTexture(source.url, options);
+        } finally {
+            source.dispose();
+        }
+    }
+    return trackLoad('texture', url, options, loadTextureFromURL);
+}
+
+async function loadTextureFromURL(url, options) {
+
+    const {
+        format = null,
+        renderer = null,
+        decoders = {},
+        flipY = true,
+        imageBitmap = true,
+        onLoad = null,
+        onError = null,
+        cache = Config.cache.enabled,
+        signal = null,
+        retry = {},
+        onDownloadProgress = null,
+        integrity = null,
+        persist = null,
+    } = options;
+    const decodeOptions = {
+        format, renderer, decoders, flipY, imageBitmap, retry, integrity, persist, onProgress: onDownloadProgress,
+    };
+
+    try {
+        let texture;
+        if (cache) {
+            // ImageBitmaps are flipped while decoding, so each orientation is its own entry
+            const key = cacheKey(flipY ? url : `${url}#flipY=false`, integrity);
+            // Clones share the cached image, so it is only decoded once per URL
+            const cached = await assetCache.acquire(
+                key,
+                (loadSignal) => fetchTexture(url, { ...decodeOptions, signal: loadSignal }),
+                signal
+            );
+            texture = cached.clone();
+            texture.userData.release = () => {
+                texture.dispose();
+                assetCache.release(key);
+            };
+        } else {
+            texture = await fetchTexture(url, { ...decodeOptions, signal });
+        }
+
+        applyTextureOptions(texture, options, renderer);
+
+        if (onLoad) onLoad(texture);
+        return texture;
+    } catch (error) {
+        if (onError) onError(error);
+        throw error;
+    }
 }
@@ -0,0 +1,575 @@
+import * as THREE from "three";
+import { Config } from "../utils/config.js";
+import { isAbortError } from "../utils/errors.js";
+import { emitLoaderEvent } from "./events.js";
+
+const _cameraPosition = new THREE.Vector3();
+const _lodPosition = new THREE.Vector3();
+const _sphere = new THREE.Sphere();
+const _size = new THREE.Vector2();
+const _frustum = new THREE.Frustum();
+const _projScreenMatrix = new THREE.Matrix4();
+
+// Per-LOD selection state: the level object shown and any running fade
+const states = new WeakMap();
+
+// Per-level bookkeeping for eviction: last time shown, and pending reloads
+const lastUsed = new WeakMap();
+const reloads = new WeakMap();
+
+// Wait before fetching a level again after a failed reload (ms)
+const RELOAD_BACKOFF = 5000;
+
+/**
+ * Bounding sphere of a LOD in its own local space, computed once.
+ * Kept local so moving or scaling the model doesn't invalidate it.
+ * Also fills in `meshRadius`, the largest mesh radius, unless a LOD
+ * manifest already provided it.
+ */
+function getLocalBoundingSphere(lod) {
+    if (!lod.userData.boundingSphere) {
+        lod.updateMatrixWorld(true);
+        const box = new THREE.Box3().setFromObject(lod);
+        if (box.isEmpty()) return null;
+
+        const inverse = lod.matrixWorld.clone().invert();
+        lod.userData.boundingSphere = box.applyMatrix4(inverse).getBoundingSphere(new THREE.Sphere());
+
+        if (!lod.userData.meshRadius) {
+            let meshRadius = 0;
+            lod.traverse((object) => {
+                if (!object.isMesh) return;
+                const meshBox = new THREE.Box3().setFromObject(object).applyMatrix4(inverse);
+                meshRadius = Math.max(meshRadius, meshBox.getBoundingSphere(_sphere).radius);
+            });
+            lod.userData.meshRadius = meshRadius || lod.userData.boundingSphere.radius;
+        }
+    }
+    return lod.userData.boundingSphere;
+}
+
+/**
+ * How many screen pixels one world unit covers at `distance` from the camera
+ */
+function getPixelsPerUnit(camera, distance, viewportHeight) {
+    if (camera.isOrthographicCamera) {
+        return (viewportHeight * camera.zoom) / (camera.top - camera.bottom);
+    }
+    const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+    return (viewportHeight * camera.zoom) / (2 * distance * Math.tan(halfFov));
+}
+
+/**
+ * Same rule as THREE.LOD.update: the last level whose distance has been
+ * reached. The shown level's distance shrinks by its hysteresis, so the
+ * camera has to move back past the band before it switches again.
+ */
+function selectDistanceLevel(lod, camera, current) {
+    _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+    _lodPosition.setFromMatrixPosition(lod.matrixWorld);
+    const distance = _cameraPosition.distanceTo(_lodPosition) / camera.zoom;
+
+    let selected = 0;
+    for (let i = 1; i < lod.levels.length; i++) {
+        const { distance: levelDistance, hysteresis } = lod.levels[i];
+        const threshold = i === current ? levelDistance * (1 - hysteresis) : levelDistance;
+        if (distance < threshold) break;
+        selected = i;
+    }
+    return selected;
+}
+
+/**
+ * Pick the coarsest level whose geometric error projects to at most
+ * `maxPixelError` pixels. Each level object carries its simplifier error
+ * (a fraction of the mesh radius) in `userData.lodError`; levels without
+ * one are only used as the finest level. The shown level may exceed the
+ * threshold by its hysteresis before a finer one replaces it.
+ */
+function selectScreenSpaceLevel(lod, camera, viewportHeight, maxPixelError, current) {
+    const local = getLocalBoundingSphere(lod);
+    if (!local || lod.levels.length === 0) return 0;
+
+    _sphere.copy(local).applyMatrix4(lod.matrixWorld);
+    _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+
+    // Distance to the bounding sphere, not its centre, so large models refine early
+    const distance = Math.max(_cameraPosition.distanceTo(_sphere.center) - _sphere.radius, camera.near);
+    const pixelsPerUnit = getPixelsPerUnit(camera, distance, viewportHeight);
+
+    // Level errors are relative to the mesh radius, which is in model units
+    const worldScale = local.radius > 0 ? _sphere.radius / local.radius : 1;
+    const radius = lod.userData.meshRadius * worldScale;
+
+    let selected = 0;
+    for (let i = 1; i < lod.levels.length; i++) {
+        const error = lod.levels[i].object.userData.lodError;
+        if (error === undefined) continue;
+        const threshold = i === current ? maxPixelError * (1 + lod.levels[i].hysteresis) : maxPixelError;
+        if (error * radius * pixelsPerUnit <= threshold) selected = i;
+    }
+    return selected;
+}
+
+function isEvicted(level) {
+    return level.object.userData.lodEvicted === true;
+}
+
+/**
+ * The loaded level closest to `index`, preferring coarser levels so an
+ * evicted level never shows more detail than was asked for
+ */
+function nearestLoadedLevel(lod, index) {
+    for (let i = index; i < lod.levels.length; i++) {
+        if (!isEvicted(lod.levels[i])) return i;
+    }
+    for (let i = index - 1; i >= 0; i--) {
+        if (!isEvicted(lod.levels[i])) return i;
+    }
+    return index;
+}
+
+/**
+ * Rough GPU memory of one level: vertex and index buffers plus textures
+ * (RGBA with mipmaps), counted once
+ */
+function getLevelBytes(object) {
+    if (object.userData.lodBytes === undefined) {
+        const geometries = new Set();
+        const textures = new Set();
+        object.traverse((child) => {
+            if (child.geometry) geometries.add(child.geometry);
+            const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+            materials.forEach((material) => {
+                Object.values(material).forEach((value) => {
+                    if (value && value.isTexture) textures.add(value);
+                });
+            });
+        });
+
+        let bytes = 0;
+        geometries.forEach((geometry) => {
+            Object.values(geometry.attributes).forEach((attribute) => {
+                bytes += attribute.array.byteLength;
+            });
+            if (geometry.index) bytes += geometry.index.array.byteLength;
+        });
+        textures.forEach((texture) => {
+            const { width, height } = texture.image || {};
+            if (width && height) bytes += (width * height * 4 * 4) / 3;
+        });
+        object.userData.lodBytes = Math.round(bytes);
+    }
+    return object.userData.lodBytes;
+}
+
+/**
+ * Triangles and draw calls of one level, counted once
+ */
+function getLevelCost(object) {
+    if (!object.userData.lodCost) {
+        let triangles = 0;
+        let drawCalls = 0;
+        object.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+            const geometry = child.geometry;
+            const count = geometry.index ? geometry.index.count : (geometry.attributes.position?.count ?? 0);
+            const instances = child.isInstancedMesh ? child.count : 1;
+            triangles += Math.floor(count / 3) * instances;
+            drawCalls += Array.isArray(child.material) ? Math.max(geometry.groups.length, 1) : 1;
+        });
+        object.userData.lodCost = { triangles, drawCalls };
+    }
+    return object.userData.lodCost;
+}
+
+/**
+ * Whether a LOD is in the camera frustum, and how large it is on screen
+ * (projected bounding sphere radius in pixels) as its importance
+ */
+function measureImportance(lod, camera, viewportHeight) {
+    const local = getLocalBoundingSphere(lod);
+    if (!local) return { visible: false, importance: 0 };
+
+    _sphere.copy(local).applyMatrix4(lod.matrixWorld);
+    if (!_frustum.intersectsSphere(_sphere)) return { visible: false, importance: 0 };
+
+    _cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+    const distance = Math.max(_cameraPosition.distanceTo(_sphere.center), camera.near);
+    return { visible: true, importance: _sphere.radius * getPixelsPerUnit(camera, distance, viewportHeight) };
+}
+
+/**
+ * Step the least important visible LODs to coarser levels until the
+ * selection fits the triangle and draw call budget. Returns the totals.
+ */
+function applyBudget(selections, { triangles: maxTriangles = 0, drawCalls: maxDrawCalls = 0 }) {
+    const visible = selections.filter((selection) => selection.visible);
+    const totals = { triangles: 0, drawCalls: 0, degraded: 0 };
+    for (const { lod, index } of visible) {
+        const cost = getLevelCost(lod.levels[index].object);
+        totals.triangles += cost.triangles;
+        totals.drawCalls += cost.drawCalls;
+    }
+
+    const overBudget = () =>
+        (maxTriangles > 0 && totals.triangles > maxTriangles) ||
+        (maxDrawCalls > 0 && totals.drawCalls > maxDrawCalls);
+
+    visible.sort((a, b) => a.importance - b.importance);
+    for (const selection of visible) {
+        if (!overBudget()) break;
+
+        const { levels } = selection.lod;
+        const start = selection.index;
+        for (let next = start + 1; overBudget() && next < levels.length; next++) {
+            if (isEvicted(levels[next])) continue;
+            const before = getLevelCost(levels[selection.index].object);
+            const after = getLevelCost(levels[next].object);
+            totals.triangles += after.triangles - before.triangles;
+            totals.drawCalls += after.drawCalls - before.drawCalls;
+            selection.index = next;
+        }
+        if (selection.index !== start) totals.degraded++;
+    }
+    return totals;
+}
+
+/**
+ * Swap every material under `object` for a fadeable clone, so shared
+ * (cached) materials are never touched. 'dither' uses alpha hashing and
+ * stays depth-sorted like an opaque mesh, 'opacity' alpha-blends.
+ */
+function beginFade(object, mode) {
+    const swaps = [];
+    const toFadeMaterial = (material) => {
+        const faded = material.clone();
+        if (mode === 'opacity') {
+            faded.transparent = true;
+        } else {
+            faded.alphaHash = true;
+        }
+        return faded;
+    };
+
+    object.traverse((child) => {
+        if (!child.material) return;
+        const original = child.material;
+        child.material = Array.isArray(original) ? original.map(toFadeMaterial) : toFadeMaterial(original);
+        swaps.push({ mesh: child, original });
+    });
+    return swaps;
+}
+
+function setFadeOpacity(swaps, amount) {
+    for (const { mesh, original } of swaps) {
+        const originals = Array.isArray(original) ? original : [original];
+        const faded = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        faded.forEach((material, i) => {
+            material.opacity = originals[i].opacity * amount;
+        });
+    }
+}
+
+function endFade(swaps) {
+    for (const { mesh, original } of swaps) {
+        const faded = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+        faded.forEach((material) => material.dispose());
+        mesh.material = original;
+    }
+}
+
+/**
+ * Restore the materials of a running fade and hide the outgoing level
+ */
+function finishFade(state) {
+    if (!state.fade) return;
+    const { from, to } = state.fade;
+    endFade(from.swaps);
+    endFade(to.swaps);
+    from.object.visible = false;
+    state.fade = null;
+}
+
+/**
+ * Show level `index`, cross-fading from the previously shown level over
+ * `fadeDuration` ms when fading is enabled
+ */
+function showLevel(lod, index, { fadeDuration, fadeMode }) {
+    const target = lod.levels[index].object;
+    let state = states.get(lod);
+    if (!state) {
+        state = { object: null, fade: null };
+        states.set(lod, state);
+    }
+
+    if (state.object !== target) {
+        finishFade(state);
+        const previous = lod.levels.find((level) => level.object === state.object);
+        if (fadeDuration > 0 && previous) {
+            state.fade = {
+                start: performance.now(),
+                from: { object: previous.object, swaps: beginFade(previous.object, fadeMode) },
+                to: { object: target, swaps: beginFade(target, fadeMode) },
+            };
+        }
+        state.object = target;
+    }
+
+    lod.levels.forEach((level) => {
+        level.object.visible = level.object === target || level.object === state.fade?.from.object;
+    });
+    lod._currentLevel = index;
+
+    if (state.fade) {
+        const t = Math.min((performance.now() - state.fade.start) / fadeDuration, 1);
+        if (t < 1) {
+            setFadeOpacity(state.fade.to.swaps, t);
+            setFadeOpacity(state.fade.from.swaps, 1 - t);
+        } else {
+            finishFade(state);
+        }
+    }
+}
+
+/**
+ * Manages all LOD objects that need updating each frame.
+ * The user should call updateManager.update(camera) in their animation loop.
+ *
+ * Selection follows `Config.lod` unless overridden with `configure()`:
+ * - 'distance' uses THREE.LOD's own distance thresholds
+ * - 'screenSpaceError' projects each level's geometric error to pixels and
+ *   picks the coarsest level under `maxPixelError`, which takes field of
+ *   view, viewport height and object size into account
+ * Both honour each level's hysteresis band. With `fadeDuration` set, the
+ * outgoing and incoming levels are cross-faded instead of swapped.
+ *
+ * With a `budget` of triangles and/or draw calls, LODs in view are ranked by
+ * their size on screen and the least important are degraded first until the
+ * scene fits. `getStats()` reports the totals of the last update.
+ *
+ * LODs loaded from files carry a `userData.lodSource`, which lets `eviction`
+ * unload levels that haven't been shown for `unusedFor` ms, or the least
+ * recently shown ones while loaded levels exceed `maxBytes`. An evicted level
+ * stays in `lod.levels` as an empty placeholder and is fetched again when
+ * selected; meanwhile the nearest loaded level is shown. The coarsest level
+ * is never evicted.
+ *
+ * Each update also records a fetch priority per LOD (`getPriority()`), which
+ * the fetchScheduler uses to order background level fetches.
+ */
+export const updateManager = {
+    lods: new Set(),
+    options: {},
+    stats: { lods: 0, visible: 0, triangles: 0, drawCalls: 0, degraded: 0, bytes: 0, evicted: 0 },
+    add(lod) {
+        this.lods.add(lod);
+        lod.userData.currentLevel = -1;
+    },
+    remove(lod) {
+        const state = states.get(lod);
+        if (state) finishFade(state);
+        states.delete(lod);
+        this.lods.delete(lod);
+    },
+    configure(options = {}) {
+        Object.assign(this.options, options);
+    },
+    getOptions() {
+        return { ...Config.lod, ...this.options };
+    },
+    /**
+     * Totals of the levels selected by the last update, counting only LODs
+     * in the camera frustum
+     */
+    getStats() {
+        return { ...this.stats, budget: { ...this.getOptions().budget } };
+    },
+    /**
+     * Fetch priority of a model's LODs as of the last update: 0 off-screen,
+     * growing with size on screen when in view
+     */
+    getPriority(lods) {
+        return Math.max(0, ...lods.map((lod) => lod.userData.lodPriority ?? 0));
+    },
+    /**
+     * Unload a level, leaving a placeholder that keeps its distance and error
+     */
+    evictLevel(lod, level) {
+        const object = level.object;
+        const placeholder = new THREE.Object3D();
+        placeholder.visible = false;
+        placeholder.userData = {
+            lodEvicted: true,
+            lodFile: object.userData.lodFile,
+            lodError: object.userData.lodError,
+        };
+
+        lod.remove(object);
+        lod.add(placeholder);
+        level.object = placeholder;
+        lod.userData.lodSource.unload(lod, object);
+    },
+    /**
+     * Fetch an evicted level again, swapping it in for its placeholder
+     */
+    reloadLevel(lod, level) {
+        const reload = reloads.get(level);
+        if (reload && (reload.pending || performance.now() - reload.failedAt < RELOAD_BACKOFF)) return;
+
+        const placeholder = level.object;
+        const entry = { pending: true, failedAt: 0 };
+        reloads.set(level, entry);
+
+        lod.userData.lodSource.load(lod, level)
+            .then((object) => {
+                // Removed or reloaded elsewhere while fetching
+                if (!this.lods.has(lod) || level.object !== placeholder || !lod.levels.includes(level)) {
+                    lod.userData.lodSource.unload(lod, object);
+                    return;
+                }
+                object.visible = false;
+                lod.remove(placeholder);
+                lod.add(object);
+                level.object = object;
+                lastUsed.set(level, performance.now());
+                reloads.delete(level);
+                emitLoaderEvent('lod-level-loaded', {
+                    url: object.userData.lodFile,
+                    model: lod,
+                    level: lod.levels.indexOf(level),
+                    file: object.userData.lodFile,
+                    reloaded: true,
+                });
+            })
+            .catch((error) => {
+                entry.failedAt = performance.now();
+                if (isAbortError(error)) return;
+                const file = placeholder.userData.lodFile;
+                emitLoaderEvent('load-error', {
+                    url: file,
+                    assetType: 'model',
+                    stage: error.stage ?? null,
+                    error,
+                    level: lod.levels.indexOf(level),
+                    file,
+                    lod,
+                });
+            })
+            .finally(() => {
+                entry.pending = false;
+            });
+    },
+    /**
+     * Evict levels unused for `unusedFor` ms, then the least recently used
+     * while loaded levels exceed `maxBytes`
+     */
+    evictUnused({ unusedFor = 0, maxBytes = 0 }, now) {
+        const candidates = [];
+        let bytes = 0;
+
+        for (const lod of this.lods) {
+            const state = states.get(lod);
+            lod.levels.forEach((level, i) => {
+                if (isEvicted(level)) return;
+                bytes += getLevelBytes(level.object);
+
+                const shown = level.object === state?.object || level.object === state?.fade?.from.object;
+                if (!lod.userData.lodSource || shown || i === lod.levels.length - 1) return;
+
+                if (!lastUsed.has(level)) lastUsed.set(level, now);
+                candidates.push({ lod, level, lastUsed: lastUsed.get(level) });
+            });
+        }
+
+        candidates.sort((a, b) => a.lastUsed - b.lastUsed);
+        for (const { lod, level, lastUsed: used } of candidates) {
+            const expired = unusedFor > 0 && now - used > unusedFor;
+            const overBudget = maxBytes > 0 && bytes > maxBytes;
+            if (!expired && !overBudget) continue;
+
+            bytes -= getLevelBytes(level.object);
+            this.evictLevel(lod, level);
+        }
+        return bytes;
+    },
+    /**
+     * Viewport height in CSS pixels, from the renderer when one is given
+     */
+    getViewportHeight(renderer, options) {
+        if (renderer) return renderer.getSize(_size).y;
+        if (options.viewportHeight) return options.viewportHeight;
+        return typeof window !== 'undefined' ? window.innerHeight : 1080;
+    },
+    update(camera, renderer = null) {
+        const options = this.getOptions();
+        const screenSpace = options.selection === 'screenSpaceError';
+        const fading = options.fadeDuration > 0;
+        const budgeted = options.budget?.triangles > 0 || options.budget?.drawCalls > 0;
+        const evicting = options.eviction?.unusedFor > 0 || options.eviction?.maxBytes > 0;
+        const viewportHeight = this.getViewportHeight(renderer, options);
+        const now = performance.now();
+
+        // The renderer would otherwise re-run distance selection on draw,
+        // and could pick an evicted placeholder
+        const managed = screenSpace || fading || budgeted || evicting;
+
+        _projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        _frustum.setFromProjectionMatrix(_projScreenMatrix);
+
+        const selections = [];
+        for (const lod of this.lods) {
+            if (lod.levels.length === 0) continue;
+            lod.autoUpdate = !managed;
+
+            // Update which mesh should be active
+            let index;
+            if (managed) {
+                const current = lod.levels.findIndex((level) => level.object === states.get(lod)?.object);
+                index = screenSpace
+                    ? selectScreenSpaceLevel(lod, camera, viewportHeight, options.maxPixelError, current)
+                    : selectDistanceLevel(lod, camera, current);
+
+                if (isEvicted(lod.levels[index])) {
+                    this.reloadLevel(lod, lod.levels[index]);
+                    index = nearestLoadedLevel(lod, index);
+                }
+            } else {
+                const state = states.get(lod);
+                if (state) finishFade(state);
+                states.delete(lod);
+                lod.update(camera);
+                index = lod.getCurrentLevel();
+            }
+            const { visible, importance } = measureImportance(lod, camera, viewportHeight);
+            lod.userData.lodPriority = visible ? 1 + importance : 0;
+            selections.push({ lod, index, visible, importance });
+        }
+
+        const totals = applyBudget(selections, budgeted ? options.budget : {});
+
+        for (const { lod, index } of selections) {
+            const prevLevel = lod.userData.currentLevel;
+            if (managed) showLevel(lod, index, options);
+            lastUsed.set(lod.levels[index], now);
+
+            // Find the currently active level
+            const currentLevel = lod.getCurrentLevel();
+
+            // Report only when the active level changes
+            if (currentLevel !== prevLevel) {
+                lod.userData.currentLevel = currentLevel;
+                emitLoaderEvent('lod-switched', { lod, previousLevel: prevLevel ?? null, level: currentLevel });
+            }
+        }
+
+        const bytes = this.evictUnused(evicting ? options.eviction : {}, now);
+        this.stats = {
+            lods: selections.length,
+            visible: selections.filter((selection) => selection.visible).length,
+            ...totals,
+            bytes,
+            evicted: selections.reduce((count, { lod }) => count + lod.levels.filter(isEvicted).length, 0),
+        };
+    }
+};
@@ -0,0 +1,111 @@
+import * as THREE from "three";
+import { fetchWithRetry } from "./fetcher.js";
+import { LoadError, runStage } from "../utils/errors.js";
+
+/**
+ * LOD manifest format, written by `generate-lod-models` next to the LOD files
+ * and read by `loadGLTF(url, { lod: 'ship.lod.json' })`:
+ *
+ * {
+ *   "version": 1,
+ *   "name": "ship",
+ *   "boundingSphere": { "center": [x, y, z], "radius": r },
+ *   "meshRadius": 1.3,
+ *   "levels": [
+ *     { "file": "ship_LOD0.glb", "ratio": 1, "error": 0, "triangles": 51200, "bytes": 313760, "distance": 0, "integrity": "sha384-..." },
+ *     { "file": "ship_LOD1.glb", "ratio": 0.3, "error": 0.02, "triangles": 15360, "bytes": 98304, "distance": 30.1, "integrity": "sha384-..." }
+ *   ]
+ * }
+ *
+ * Level files are relative to the manifest. `error` is the simplifier error
+ * as a fraction of the mesh radius; `meshRadius` is the largest mesh radius
+ * in world units, so `error * meshRadius` is a world-space error.
+ * The optional `integrity` is an SRI digest each level file is checked against.
+ * The optional `compression` ('meshopt' or 'draco') tells which decoder a
+ * level file needs; see Config.decoders. The optional `lockBorder` records
+ * that a level was simplified with its open mesh borders kept in place.
+ */
+export const LOD_MANIFEST_VERSION = 1;
+
+// Reference view used to turn a simplification error into a switch distance
+const REFERENCE_VIEW = {
+    fov: 50,             // Vertical field of view in degrees
+    viewportHeight: 1080,
+    pixelError: 1,       // Largest acceptable on-screen error in pixels
+};
+
+/**
+ * Suggest the camera distance at which a level simplified with `error`
+ * (relative to a mesh of `radius`) stays under `pixelError` pixels on
+ * screen for the reference view.
+ */
+export function suggestSwitchDistance(radius, error, view = {}) {
+    if (!error || !radius) return 0;
+
+    const { fov, viewportHeight, pixelError } = { ...REFERENCE_VIEW, ...view };
+    const worldError = error * radius;
+    const halfFov = THREE.MathUtils.degToRad(fov) / 2;
+    return (worldError * viewportHeight) / (2 * pixelError * Math.tan(halfFov));
+}
+
+/**
+ * Validate a parsed manifest, returning a list of problems
+ */
+export function validateLODManifest(manifest) {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object') {
+        return ['LOD manifest must be an object'];
+    }
+
+    if (manifest.version !== LOD_MANIFEST_VERSION) {
+        errors.push(`Unsupported LOD manifest version: ${manifest.version}`);
+    }
+
+    if (!Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+        errors.push('LOD manifest levels must be a non-empty array');
+    } else {
+        manifest.levels.forEach((level, i) => {
+            if (typeof level.file !== 'string' || level.file.trim() === '') {
+                errors.push(`LOD manifest level ${i} must have a file`);
+            }
+            if (typeof level.distance !== 'number' || level.distance < 0) {
+                errors.push(`LOD manifest level ${i} must have a non-negative distance`);
+            }
+            if (level.integrity !== undefined && typeof level.integrity !== 'string') {
+                errors.push(`LOD manifest level ${i} integrity must be a string`);
+            }
+            if (level.compression !== undefined && !['meshopt', 'draco'].includes(level.compression)) {
+                errors.push(`LOD manifest level ${i} compression must be 'meshopt' or 'draco'`);
+            }
+            if (level.lockBorder !== undefined && typeof level.lockBorder !== 'boolean') {
+                errors.push(`LOD manifest level ${i} lockBorder must be a boolean`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Fetch and validate a manifest. Level files are resolved against the
+ * manifest URL so they can be passed straight to the loaders.
+ */
+export async function loadLODManifest(url, options = {}) {
+    const buffer = await fetchWithRetry(url, options);
+    const manifest = await runStage('manifest', url, () => JSON.parse(new TextDecoder().decode(buffer)));
+
+    const errors = validateLODManifest(manifest);
+    if (errors.length > 0) {
+        throw new LoadError(`Invalid LOD manifest ${url}: ${errors.join(', ')}`, { url, stage: 'manifest' });
+    }
+
+    const baseUrl = THREE.LoaderUtils.extractUrlBase(url);
+    return {
+        ...manifest,
+        levels: manifest.levels.map((level) => ({
+            ...level,
+            url: THREE.LoaderUtils.resolveURL(level.file, baseUrl),
+        })),
+    };
+}
@@ -0,0 +1,249 @@
+import { Config } from "../utils/config.js";
+
+/**
+ * Persistent asset cache. Fetched bytes are kept in IndexedDB across page
+ * loads, keyed by URL plus a version or integrity digest, within a byte
+ * quota: past it the least recently used entries are evicted.
+ *
+ * Metadata and bytes live in separate object stores, so listing entries,
+ * measuring usage and picking entries to evict never read bytes back.
+ */
+
+const DB_VERSION = 1;
+const ENTRIES = 'entries';
+const BODIES = 'bodies';
+
+/**
+ * Promise for the result of an IDBRequest
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Promise settled once a transaction commits or fails
+ */
+function completion(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+/**
+ * Cache key for a URL: different versions or digests of one URL are
+ * different entries. Relative URLs are resolved against the page, so the
+ * main thread and the loader worker share entries.
+ */
+export function persistentKey(url, { version = null, integrity = null } = {}) {
+    let key = url;
+    try {
+        key = new URL(url, globalThis.location?.href).href;
+    } catch {
+        // Relative URL without a page to resolve it against
+    }
+    if (version) key += `#version=${version}`;
+    if (integrity) key += `#integrity=${[].concat(integrity).join(' ')}`;
+    return key;
+}
+
+export class PersistentCache {
+    /**
+     * `indexedDB` replaces the global IDBFactory, e.g. with an in-memory
+     * stand-in in tests. `name` and `quota` default to Config.persistentCache.
+     */
+    constructor({ indexedDB = null, name = null, quota = null } = {}) {
+        this.factory = indexedDB;
+        this.name = name;
+        this.quota = quota;
+        this.db = null;
+    }
+
+    /**
+     * Whether an IndexedDB implementation is around (not in Node, nor in
+     * some private browsing modes)
+     */
+    get available() {
+        return Boolean(this.factory || globalThis.indexedDB);
+    }
+
+    getQuota() {
+        return this.quota ?? Config.persistentCache.quota;
+    }
+
+    /**
+     * Switch to another IDBFactory, closing the current database
+     */
+    setIndexedDB(factory) {
+        this.close();
+        this.factory = factory;
+    }
+
+    open() {
+        if (!this.db) {
+            const factory = this.factory || globalThis.indexedDB;
+            if (!factory) return Promise.reject(new Error('IndexedDB is not available'));
+
+            const request = factory.open(this.name || Config.persistentCache.name, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(ENTRIES, { keyPath: 'key' });
+                request.result.createObjectStore(BODIES);
+            };
+            this.db = promisify(request);
+            // Try again on the next call, e.g. after a blocked upgrade
+            this.db.catch(() => {
+                this.db = null;
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run `run(...objectStores)` in one transaction and resolve with its
+     * result once the transaction has committed
+     */
+    async transaction(storeNames, mode, run) {
+        const db = await this.open();
+        const transaction = db.transaction(storeNames, mode);
+        const result = run(...storeNames.map((name) => transaction.objectStore(name)));
+        await completion(transaction);
+        return result;
+    }
+
+    /**
+     * Cached entry with its `bytes`, or null
+     */
+    async get(key) {
+        const [entry, bytes] = await this.transaction([ENTRIES, BODIES], 'readonly', (entries, bodies) =>
+            Promise.all([promisify(entries.get(key)), promisify(bodies.get(key))]));
+        return entry && bytes ? { ...entry, bytes } : null;
+    }
+
+    async has(key) {
+        const entry = await this.transaction([ENTRIES], 'readonly', (entries) => promisify(entries.get(key)));
+        return Boolean(entry);
+    }
+
+    /**
+     * Store bytes under `key`, then evict down to the quota. `meta` may hold
+     * the `url`, `version`, `integrity`, `etag`, `lastModified` and
+     * `contentType`. Files larger than the whole quota are not stored.
+     */
+    async put(key, bytes, meta = {}) {
+        const quota = this.getQuota();
+        if (quota > 0 && bytes.byteLength > quota) return false;
+
+        const now = Date.now();
+        const entry = {
+            url: key,
+            version: null,
+            integrity: null,
+            etag: null,
+            lastModified: null,
+            contentType: null,
+            ...meta,
+            key,
+            size: bytes.byteLength,
+            storedAt: now,
+            accessedAt: now,
+        };
+        await this.transaction([ENTRIES, BODIES], 'readwrite', (entries, bodies) => {
+            entries.put(entry);
+            bodies.put(bytes, key);
+        });
+        await this.evict(quota);
+        return true;
+    }
+
+    /**
+     * Mark an entry as used now, merging `changes` into its metadata
+     */
+    async touch(key, changes = {}) {
+        await this.transaction([ENTRIES], 'readwrite', (entries) => {
+            const request = entries.get(key);
+            request.onsuccess = () => {
+                if (request.result) entries.put({ ...request.result, ...changes, accessedAt: Date.now() });
+            };
+        });
+    }
+
+    /**
+     * Metadata of every entry, most recently used first
+     */
+    async entries() {
+        const entries = await this.transaction([ENTRIES], 'readonly', (store) => promisify(store.getAll()));
+        return entries.sort((a, b) => b.accessedAt - a.accessedAt);
+    }
+
+    /**
+     * { count, bytes, quota } of the stored entries
+     */
+    async usage() {
+        const entries = await this.entries();
+        return {
+            count: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+            quota: this.getQuota(),
+        };
+    }
+
+    /**
+     * Evict least recently used entries until the total fits in `quota`.
+     * Resolves with the evicted keys.
+     */
+    async evict(quota = this.getQuota()) {
+        if (!quota) return [];
+
+        const entries = await this.entries();
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const evicted = [];
+        for (const entry of entries.reverse()) {
+            if (total <= quota) break;
+            evicted.push(entry.key);
+            total -= entry.size;
+        }
+        if (evicted.length > 0) await this.remove(evicted);
+        return evicted;
+    }
+
+    /**
+     * Delete a key, or every version of a URL
+     */
+    async delete(keyOrUrl) {
+        const url = persistentKey(keyOrUrl);
+        const keys = (await this.entries())
+            .filter((entry) => entry.key === keyOrUrl || entry.url === url)
+            .map((entry) => entry.key);
+        await this.remove(keys);
+        return keys.length > 0;
+    }
+
+    async remove(keys) {
+        await this.transaction([ENTRIES, BODIES], 'readwrite', (entries, bodies) => {
+            for (const key of keys) {
+                entries.delete(key);
+                bodies.delete(key);
+            }
+        });
+    }
+
+    async clear() {
+        await this.transaction([ENTRIES, BODIES], 'readwrite', (entries, bodies) => {
+            entries.clear();
+            bodies.clear();
+        });
+    }
+
+    close() {
+        const db = this.db;
+        this.db = null;
+        db?.then((database) => database.close(), () => {});
+    }
+}
+
+// Default persistent cache used by fetchWithRetry
+export const persistentCache = new PersistentCache();
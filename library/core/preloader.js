@@ -0,0 +1,132 @@
+import { FetchScheduler } from "./fetchScheduler.js";
+import { createLinkedController } from "./fetcher.js";
+import { getSourceName } from "./fileSource.js";
+import { isAbortError } from "../utils/errors.js";
+import { Config } from "../utils/config.js";
+
+export const ASSET_TYPES = ['model', 'hdri', 'texture'];
+
+/**
+ * Overall progress weighted by bytes. Assets whose size isn't known yet
+ * (no `size` hint, no Content-Length so far) count as the average known size.
+ */
+function summarize(assets) {
+    const sized = assets.filter((asset) => asset.total > 0);
+    const average = sized.length > 0
+        ? sized.reduce((sum, asset) => sum + asset.total, 0) / sized.length
+        : 0;
+
+    let loaded = 0;
+    let total = 0;
+    let completed = 0;
+    let failed = 0;
+    for (const asset of assets) {
+        const size = asset.total || average;
+        const done = asset.status !== 'pending' && asset.status !== 'loading';
+        total += size;
+        loaded += done ? size : Math.min(asset.loaded, size);
+        if (asset.status === 'loaded') completed++;
+        if (asset.status === 'failed' || asset.status === 'aborted') failed++;
+    }
+
+    const finished = completed + failed;
+    return {
+        progress: total > 0 ? loaded / total : (assets.length > 0 ? finished / assets.length : 1),
+        loaded,
+        total,
+        completed,
+        failed,
+        count: assets.length,
+        assets: assets.map(({ key, type, url, optional, status, loaded: bytes, total: size, error }) => ({
+            key, type, url, optional, status, loaded: bytes, total: size, error,
+        })),
+    };
+}
+
+/**
+ * Load a manifest of typed assets through `loaders` ({ model, hdri, texture },
+ * each `(url, options) => Promise<result>`), at most `concurrency` at a time.
+ * Higher `priority` entries start first.
+ *
+ * Resolves with a Map of asset key (`key`, else the URL or file name) to
+ * result. A failing `optional` asset is reported through `onAssetError` and
+ * left out of the Map; any other failure aborts the assets still loading
+ * and rejects. The error's `results` holds the assets that had finished,
+ * which stay loaded, so the caller can release them.
+ */
+export async function preloadAssets(manifest, loaders, options = {}) {
+    const {
+        concurrency = Config.preload.concurrency,
+        onProgress = null,     // Overall progress and the status of every asset
+        onAssetLoad = null,    // (key, result, asset)
+        onAssetError = null,   // (key, error, asset), optional assets only
+        signal = null,
+    } = options;
+
+    const entries = Array.isArray(manifest) ? manifest : manifest.assets;
+    const controller = createLinkedController(signal);
+    const scheduler = new FetchScheduler(concurrency);
+    const results = new Map();
+
+    const assets = entries.map((entry) => ({
+        entry,
+        key: entry.key || getSourceName(entry.url),
+        type: entry.type,
+        url: entry.url,
+        optional: Boolean(entry.optional),
+        status: 'pending',
+        loaded: 0,
+        total: entry.size || 0,
+        error: null,
+    }));
+
+    const report = () => {
+        if (onProgress) onProgress(summarize(assets));
+    };
+
+    const load = async (asset) => {
+        const { entry } = asset;
+        try {
+            const result = await scheduler.schedule((taskSignal) => {
+                asset.status = 'loading';
+                report();
+                return loaders[asset.type](asset.url, {
+                    ...entry.options,
+                    ...(entry.key ? { key: entry.key } : {}),
+                    signal: taskSignal,
+                    onDownloadProgress: ({ loaded, total }) => {
+                        asset.loaded = loaded;
+                        if (total > 0) asset.total = total;
+                        report();
+                    },
+                });
+            }, { priority: entry.priority || 0, signal: controller.signal, key: asset.key });
+
+            asset.status = 'loaded';
+            results.set(asset.key, result);
+            report();
+            if (onAssetLoad) onAssetLoad(asset.key, result, entry);
+        } catch (error) {
+            asset.status = isAbortError(error) ? 'aborted' : 'failed';
+            asset.error = error;
+            report();
+
+            if (!asset.optional || controller.signal.aborted) throw error;
+            if (onAssetError) onAssetError(asset.key, error, entry);
+        }
+    };
+
+    // The first `concurrency` assets start as soon as they are queued
+    const byPriority = [...assets].sort((a, b) => (b.entry.priority || 0) - (a.entry.priority || 0));
+
+    report();
+    try {
+        await Promise.all(byPriority.map(load));
+    } catch (error) {
+        // Stop everything still queued or in flight
+        controller.abort(error);
+        error.results = results;
+        throw error;
+    }
+    return results;
+}
@@ -1,11 +1,24 @@
 import * as THREE from "three";
 
+/**
+ * Cached resources (e.g. textures from loadTexture) are released back to
+ * the asset cache, which disposes the shared data once its last user is gone
+ */
+function disposeResource(resource) {
+  if (resource?.userData?.release) {
+    resource.userData.release();
+  } else if (resource && resource.dispose) {
+    resource.dispose();
+  }
+}
+
 /**
  * Resource Manager - handles cleanup and resource management
  */
 export class ResourceManager {
   constructor() {
     this.resources = new Map();
+    this.refCounts = new Map();
     this.disposables = [];
   }
 
@@ -27,11 +40,41 @@ export class ResourceManager {
    * Remove a resource
    */
   removeResource(key) {
-    const resource = this.resources.get(key);
-    if (resource && resource.dispose) {
-      resource.dispose();
-    }
+    disposeResource(this.resources.get(key));
     this.resources.delete(key);
+    this.refCounts.delete(key);
+  }
+
+  /**
+   * Increment the reference count of a resource
+   */
+  retainResource(key) {
+    const count = (this.refCounts.get(key) || 0) + 1;
+    this.refCounts.set(key, count);
+    return count;
+  }
+
+  /**
+   * Decrement the reference count of a resource, removing it at zero
+   */
+  releaseResource(key) {
+    if (!this.refCounts.has(key)) return 0;
+
+    const count = this.refCounts.get(key) - 1;
+    if (count <= 0) {
+      this.removeResource(key);
+      return 0;
+    }
+
+    this.refCounts.set(key, count);
+    return count;
+  }
+
+  /**
+   * Get the reference count of a resource
+   */
+  getRefCount(key) {
+    return this.refCounts.get(key) || 0;
   }
 
   /**
@@ -47,11 +90,10 @@ export class ResourceManager {
   dispose() {
     // Dispose of all resources
     for (const [key, resource] of this.resources) {
-      if (resource && resource.dispose) {
-        resource.dispose();
-      }
+      disposeResource(resource);
     }
     this.resources.clear();
+    this.refCounts.clear();
 
     // Dispose of all disposables
     this.disposables.forEach((disposable) => {
@@ -0,0 +1,130 @@
+import * as THREE from "three";
+import { getKTX2Loader, resolveDecoderOptions } from "./decoders.js";
+import { loadFromBuffer } from "./fetcher.js";
+
+// Option names accepted next to the three.js constants
+const WRAPPING = {
+    repeat: THREE.RepeatWrapping,
+    clamp: THREE.ClampToEdgeWrapping,
+    mirror: THREE.MirroredRepeatWrapping,
+};
+
+const FILTERS = {
+    nearest: THREE.NearestFilter,
+    linear: THREE.LinearFilter,
+    'nearest-mipmap-nearest': THREE.NearestMipmapNearestFilter,
+    'nearest-mipmap-linear': THREE.NearestMipmapLinearFilter,
+    'linear-mipmap-nearest': THREE.LinearMipmapNearestFilter,
+    'linear-mipmap-linear': THREE.LinearMipmapLinearFilter,
+};
+
+const COLOR_SPACES = {
+    srgb: THREE.SRGBColorSpace,
+    linear: THREE.LinearSRGBColorSpace,
+    none: THREE.NoColorSpace,
+};
+
+// KTX 2.0 file identifier: «KTX 20»\r\n\x1A\n
+const KTX2_MAGIC = [0xab, 0x4b, 0x54, 0x58, 0x20, 0x32, 0x30, 0xbb];
+
+/**
+ * Texture format from `format`, the file extension, then the magic bytes.
+ * Anything that isn't KTX2 is decoded as an image by the browser.
+ */
+export function detectTextureFormat(url, buffer, format = null) {
+    if (format) return format;
+
+    const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (extension === 'ktx2') return 'ktx2';
+
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, KTX2_MAGIC.length));
+    return KTX2_MAGIC.every((byte, i) => bytes[i] === byte) ? 'ktx2' : 'image';
+}
+
+/**
+ * Whether the image path will decode through ImageBitmapLoader
+ */
+export function usesImageBitmap(format, imageBitmap = true) {
+    return format === 'image' && imageBitmap && typeof createImageBitmap !== 'undefined';
+}
+
+/**
+ * Decode fetched bytes into a texture. KTX2 (Basis Universal) is transcoded
+ * for the renderer's GPU, images go through ImageBitmapLoader where the
+ * browser supports it and TextureLoader otherwise.
+ */
+export async function decodeTexture(format, buffer, { renderer = null, decoders = {}, flipY = true, imageBitmap = true } = {}) {
+    if (format === 'ktx2') {
+        if (!renderer) {
+            throw new Error('KTX2 textures need a renderer to pick a transcode target');
+        }
+        return loadFromBuffer(getKTX2Loader(renderer, resolveDecoderOptions(decoders).ktx2), buffer);
+    }
+
+    if (format !== 'image') {
+        throw new Error(`Unsupported texture format: ${format}`);
+    }
+
+    if (usesImageBitmap(format, imageBitmap)) {
+        // WebGL ignores flipY for ImageBitmaps, so flip while decoding
+        const loader = new THREE.ImageBitmapLoader().setOptions({
+            premultiplyAlpha: 'none',
+            ...(flipY ? { imageOrientation: 'flipY' } : {}),
+        });
+        const texture = new THREE.Texture(await loadFromBuffer(loader, buffer));
+        texture.flipY = false;
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    const texture = await loadFromBuffer(new THREE.TextureLoader(), buffer);
+    texture.flipY = flipY;
+    return texture;
+}
+
+/**
+ * Apply sampling options to a texture before its first upload. Options
+ * left undefined keep the loader's defaults.
+ */
+export function applyTextureOptions(texture, options = {}, renderer = null) {
+    const {
+        colorSpace,
+        wrap,
+        wrapS = wrap,
+        wrapT = wrap,
+        repeat,
+        offset,
+        center,
+        rotation,
+        anisotropy,
+        generateMipmaps,
+        minFilter,
+        magFilter,
+    } = options;
+
+    if (colorSpace !== undefined) texture.colorSpace = COLOR_SPACES[colorSpace] ?? colorSpace;
+    if (wrapS !== undefined) texture.wrapS = WRAPPING[wrapS] ?? wrapS;
+    if (wrapT !== undefined) texture.wrapT = WRAPPING[wrapT] ?? wrapT;
+    if (repeat !== undefined) texture.repeat.fromArray(repeat);
+    if (offset !== undefined) texture.offset.fromArray(offset);
+    if (center !== undefined) texture.center.fromArray(center);
+    if (rotation !== undefined) texture.rotation = rotation;
+
+    if (anisotropy === 'max') {
+        if (renderer) texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+    } else if (anisotropy !== undefined) {
+        texture.anisotropy = anisotropy;
+    }
+
+    // Compressed textures bring their own mip chain
+    if (generateMipmaps !== undefined && !texture.isCompressedTexture) {
+        texture.generateMipmaps = generateMipmaps;
+        // A mipmap filter without mipmaps samples black
+        if (!generateMipmaps && minFilter === undefined) texture.minFilter = THREE.LinearFilter;
+    }
+    if (minFilter !== undefined) texture.minFilter = FILTERS[minFilter] ?? minFilter;
+    if (magFilter !== undefined) texture.magFilter = FILTERS[magFilter] ?? magFilter;
+
+    texture.needsUpdate = true;
+    return texture;
+}
@@ -0,0 +1,311 @@
+import * as THREE from "three";
+import { abortable, resolveRetryPolicy, resolvePersistPolicy, resolveLocalURL, throwIfAborted } from "./fetcher.js";
+import { Config } from "../utils/config.js";
+import { LoadError } from "../utils/errors.js";
+import { emitLoaderEvent, emitLoaderWarning } from "./events.js";
+import { Helpers } from "../utils/helpers.js";
+
+/**
+ * Main-thread side of the loader worker (see gltfWorker.js). Fetching,
+ * decoding and simplification run in the worker; only the three.js objects
+ * are created here, from buffers the worker transfers back.
+ */
+
+// glTF sampler wrap modes are GL enums, three.js uses its own constants
+const WRAP_MODES = {
+    33071: THREE.ClampToEdgeWrapping,
+    33648: THREE.MirroredRepeatWrapping,
+    10497: THREE.RepeatWrapping,
+};
+
+// glTF attribute semantics that map onto three.js attributes
+const ATTRIBUTES = {
+    POSITION: 'position',
+    NORMAL: 'normal',
+    TANGENT: 'tangent',
+    TEXCOORD_0: 'uv',
+    TEXCOORD_1: 'uv1',
+    COLOR_0: 'color',
+};
+
+const PRIMITIVE_MODES = { POINTS: 0, LINES: 1, TRIANGLES: 4 };
+
+let worker = null;
+let nextId = 0;
+const requests = new Map();
+
+/**
+ * Reject every pending load, e.g. when the worker script failed to load or
+ * threw while starting, and drop the worker so the next load starts afresh
+ */
+function failWorker(message) {
+    worker?.terminate();
+    worker = null;
+    for (const { reject, url } of requests.values()) {
+        reject(new LoadError(`${message}: ${url}`, { url, stage: 'parse' }));
+    }
+    requests.clear();
+}
+
+function getWorker() {
+    if (!worker) {
+        worker = Config.worker.url
+            ? new Worker(Config.worker.url, { type: 'module' })
+            : new Worker(new URL('./gltfWorker.js', import.meta.url), { type: 'module' });
+
+        worker.onmessage = ({ data }) => {
+            // Already logged by the worker
+            if (data.warning) {
+                emitLoaderEvent('load-warning', { ...data.warning, error: null });
+                return;
+            }
+
+            const request = requests.get(data.id);
+            if (!request) return;
+            requests.delete(data.id);
+
+            if (data.error) {
+                const { name, message, url, stage } = data.error;
+                const error = new LoadError(message, { url, stage });
+                error.name = name;
+                request.reject(error);
+            } else {
+                request.resolve(data);
+            }
+        };
+        worker.onerror = (event) => {
+            event.preventDefault?.();
+            failWorker(`Loader worker failed${event.message ? ` (${event.message})` : ''}`);
+        };
+        worker.onmessageerror = () => {
+            failWorker('Loader worker sent a message that could not be read');
+        };
+    }
+    return worker;
+}
+
+/**
+ * Function fallbacks can't be posted to a worker, so expand them first
+ */
+function serializeRetry(retry, url) {
+    const policy = resolveRetryPolicy(retry);
+    const { fallbackUrls } = policy;
+    return {
+        ...policy,
+        fallbackUrls: typeof fallbackUrls === 'function' ? (fallbackUrls(url) || []) : fallbackUrls,
+    };
+}
+
+/**
+ * Post a load to the worker. Resolves with { scenes }, one scene
+ * description per level, or with { fallback, buffer } when the worker
+ * can't build the model and hands the fetched bytes back.
+ */
+function requestScenes(url, lodLevels, { signal = null, retry = {}, integrity = null, persist = null } = {}) {
+    throwIfAborted(signal, url);
+
+    const id = nextId++;
+    const promise = new Promise((resolve, reject) => {
+        requests.set(id, { resolve, reject, url });
+    });
+
+    getWorker().postMessage({
+        type: 'load',
+        id,
+        // Virtual file URLs only resolve on this thread
+        url: new URL(resolveLocalURL(url) || url, globalThis.location?.href).href,
+        lodLevels: lodLevels && lodLevels.map(({ ratio, error }) => ({ ratio, error })),
+        retry: serializeRetry(retry, url),
+        integrity,
+        // Resolved here, the worker has its own Config
+        persist: resolvePersistPolicy(persist, url) || false,
+    });
+
+    if (signal) {
+        const onAbort = () => {
+            requests.delete(id);
+            worker?.postMessage({ type: 'abort', id });
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        // Model signals outlive their requests, so don't pile up listeners
+        const removeListener = () => signal.removeEventListener('abort', onAbort);
+        promise.then(removeListener, removeListener);
+    }
+
+    return abortable(promise, signal, url);
+}
+
+// KTX2 textures never get here, the worker falls back to the main thread
+async function buildImage({ mimeType, image }) {
+    if (!image) return null;
+    return createImageBitmap(new Blob([image], { type: mimeType }), {
+        premultiplyAlpha: 'none',
+        colorSpaceConversion: 'none',
+    });
+}
+
+/**
+ * One texture per image, sampler and color space, shared between materials
+ */
+function getTexture(textures, images, info, colorSpace) {
+    const key = `${info.texture}:${info.wrapS}:${info.wrapT}:${colorSpace}`;
+    if (!textures.has(key)) {
+        const texture = new THREE.Texture(images[info.texture]);
+        texture.flipY = false;
+        texture.wrapS = WRAP_MODES[info.wrapS] ?? THREE.RepeatWrapping;
+        texture.wrapT = WRAP_MODES[info.wrapT] ?? THREE.RepeatWrapping;
+        texture.colorSpace = colorSpace;
+        texture.needsUpdate = true;
+        textures.set(key, texture);
+    }
+    return textures.get(key);
+}
+
+function buildMaterial(description, images, textures) {
+    const { color, emissive, alphaMode } = description;
+    const material = new THREE.MeshStandardMaterial({
+        name: description.name,
+        color: new THREE.Color().setRGB(color[0], color[1], color[2]),
+        opacity: color[3],
+        transparent: alphaMode === 'BLEND',
+        alphaTest: alphaMode === 'MASK' ? description.alphaCutoff : 0,
+        metalness: description.metalness,
+        roughness: description.roughness,
+        emissive: new THREE.Color().setRGB(emissive[0], emissive[1], emissive[2]),
+        side: description.doubleSided ? THREE.DoubleSide : THREE.FrontSide,
+        vertexColors: description.vertexColors,
+    });
+
+    for (const [name, info] of Object.entries(description.maps)) {
+        if (!images[info.texture]) continue;
+
+        const colorSpace = name === 'map' || name === 'emissiveMap' ? THREE.SRGBColorSpace : THREE.NoColorSpace;
+        material[name] = getTexture(textures, images, info, colorSpace);
+        // glTF packs roughness (G) and metalness (B) into one texture
+        if (name === 'metalnessMap') material.roughnessMap = material[name];
+    }
+    if (material.normalMap) {
+        material.normalScale.set(description.normalScale, -description.normalScale);
+    }
+    return material;
+}
+
+function buildPrimitive(primitive, attributes, materials, defaultMaterial, url) {
+    const geometry = new THREE.BufferGeometry();
+    for (const [semantic, index] of Object.entries(primitive.attributes)) {
+        if (ATTRIBUTES[semantic]) geometry.setAttribute(ATTRIBUTES[semantic], attributes[index]);
+    }
+    if (primitive.indices !== -1) geometry.setIndex(attributes[primitive.indices]);
+
+    const material = materials[primitive.material] || defaultMaterial;
+    switch (primitive.mode) {
+        case PRIMITIVE_MODES.POINTS:
+            return new THREE.Points(geometry, new THREE.PointsMaterial({ color: material.color, size: 1, sizeAttenuation: false }));
+        case PRIMITIVE_MODES.LINES:
+            return new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: material.color }));
+        case PRIMITIVE_MODES.TRIANGLES:
+            return new THREE.Mesh(geometry, material);
+        default:
+            emitLoaderWarning({
+                url,
+                stage: 'parse',
+                message: `Primitive mode ${primitive.mode} is not supported by worker loading and was skipped: ${url}`,
+            });
+            geometry.dispose();
+            return null;
+    }
+}
+
+/**
+ * Build a glTF-like result ({ scene, scenes, cameras, animations }) from a
+ * scene description posted by the worker
+ */
+async function buildGLTF(description, url) {
+    const images = await Promise.all(description.textures.map(buildImage));
+    const textures = new Map();
+    const materials = description.materials.map((material) => buildMaterial(material, images, textures));
+    const defaultMaterial = new THREE.MeshStandardMaterial();
+
+    const attributes = description.accessors.map(({ array, itemSize, normalized }) =>
+        new THREE.BufferAttribute(array, itemSize, normalized));
+
+    const cameras = [];
+    const objects = description.nodes.map((node) => {
+        let object;
+        if (node.camera) {
+            const { yfov, aspectRatio, znear, zfar } = node.camera;
+            object = new THREE.PerspectiveCamera(THREE.MathUtils.radToDeg(yfov), aspectRatio || 1, znear, zfar || 2e6);
+            cameras.push(object);
+        }
+
+        if (node.mesh !== -1) {
+            const primitives = description.meshes[node.mesh].primitives
+                .map((primitive) => buildPrimitive(primitive, attributes, materials, defaultMaterial, url))
+                .filter(Boolean);
+
+            // Like GLTFLoader, a single-primitive mesh becomes the node itself
+            if (!object && primitives.length === 1) {
+                object = primitives[0];
+            } else {
+                object = object || new THREE.Group();
+                primitives.forEach((primitive) => object.add(primitive));
+            }
+        }
+
+        object = object || new THREE.Object3D();
+        object.name = node.name;
+        object.position.fromArray(node.translation);
+        object.quaternion.fromArray(node.rotation);
+        object.scale.fromArray(node.scale);
+        return object;
+    });
+
+    description.nodes.forEach((node, i) => {
+        node.children.forEach((child) => objects[i].add(objects[child]));
+    });
+
+    const scene = new THREE.Group();
+    scene.name = description.name;
+    description.roots.forEach((index) => scene.add(objects[index]));
+
+    return { scene, scenes: [scene], cameras, animations: [], asset: {}, userData: {} };
+}
+
+/**
+ * Fetch and decode a GLB in the worker. With `lodLevels`, each level is
+ * simplified in the worker too (see loadGLTF's `lod: 'generate'`) and one
+ * result is returned per level; otherwise a single result is returned.
+ *
+ * Models the worker can't build like GLTFLoader does (glTF JSON, Draco,
+ * KTX2, skins, morph targets, animations, other extensions) are passed to
+ * `fallback(buffer)` with the bytes the worker fetched, to be parsed on the
+ * main thread instead.
+ */
+export async function loadGLTFInWorker(url, { lodLevels = null, signal = null, retry = {}, integrity = null, persist = null, fallback } = {}) {
+    const result = await requestScenes(url, lodLevels, { signal, retry, integrity, persist });
+    if (result.fallback) {
+        emitLoaderWarning({ url, stage: 'parse', message: `${url} has ${result.fallback}, parsing it on the main thread` });
+        return fallback(result.buffer);
+    }
+
+    const gltfs = await Promise.all(result.scenes.map((description) => buildGLTF(description, url)));
+
+    if (signal?.aborted) {
+        gltfs.forEach((gltf) => Helpers.disposeObject(gltf.scene));
+        throwIfAborted(signal, url);
+    }
+    return lodLevels ? gltfs : gltfs[0];
+}
+
+/**
+ * Terminate the shared worker; it is started again on the next load
+ */
+export function disposeWorker() {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+    for (const { reject } of requests.values()) {
+        reject(new Error('Loader worker was terminated'));
+    }
+    requests.clear();
+}
@@ -7,7 +7,17 @@
 import { SceneManager } from './core/sceneManager.js';
 import { Renderer } from './core/renderer.js';
 import { ResourceManager } from './core/resourceManager.js';
-import { loadGLTF, loadHDRI, loadTexture } from './core/loader.js';
+import { loadGLTF, loadModelFile, loadHDRI, loadHDRIEnvironment, loadTexture } from './core/loader.js';
+import { MODEL_FORMATS, detectFormat, formatFromUrl } from './core/formats.js';
+import { isFileInput, formatFromInput, getSourceName, createFileSource } from './core/fileSource.js';
+import { configureGLTFLoader, disposeDecoders } from './core/decoders.js';
+import { AssetCache, assetCache } from './core/assetCache.js';
+import { PersistentCache, persistentCache } from './core/persistentCache.js';
+import { updateManager } from './core/lodManager.js';
+import { FetchScheduler, fetchScheduler } from './core/fetchScheduler.js';
+import { loadGLTFInWorker, disposeWorker } from './core/workerLoader.js';
+import { preloadAssets, ASSET_TYPES } from './core/preloader.js';
+import { loaderEvents, LoaderEvent, LOADER_EVENTS } from './core/events.js';
 
 // Module imports
 import { ModelManager, createAnimationMixer } from './modules/models.js';
@@ -21,6 +31,8 @@ import { Config, updateConfig, getConfig, setConfig } from './utils/config.js';
 import { Logger, logger, PerformanceLogger, performanceLogger } from './utils/logger.js';
 import { Validator, ValidationRules } from './utils/validator.js';
 import { Helpers } from './utils/helpers.js';
+import { LoadError, LoadAbortError, LoadTimeoutError, LoadRetryError, IntegrityError, isAbortError } from './utils/errors.js';
+import { verifyIntegrity, computeDigest } from './core/integrity.js';
 
 // Three.js imports
 import * as THREE from 'three';
@@ -87,7 +99,24 @@ export class FlowJS {
   }
 
   /**
-   * Load a 3D model
+   * Merge per-call retry options over this instance's retry policy
+   */
+  getRetryPolicy(retry = {}) {
+    return retry === false ? false : Helpers.mergeDeep({}, this.options.retry, retry);
+  }
+
+  /**
+   * Subscribe to loader and LOD events (see core/events.js), e.g.
+   * `flow.on('load-error', (event) => report(event.url, event.stage))`.
+   * Returns a function that removes the listener.
+   */
+  on(type, listener) {
+    loaderEvents.addEventListener(type, listener);
+    return () => loaderEvents.removeEventListener(type, listener);
+  }
+
+  /**
+   * Load a 3D model. Pass `options.signal` (an AbortSignal) to cancel it.
    */
   async loadModel(url, options = {}) {
     const validation = Validator.validateModelOptions(options);
@@ -95,15 +124,27 @@ export class FlowJS {
       throw new Error(`Model validation failed: ${validation.join(', ')}`);
     }
 
+    const name = getSourceName(url, options.name);
     try {
-      logger.info(`Loading model: ${url}`);
-      const result = await loadGLTF(url, options);
+      logger.info(`Loading model: ${name}`);
+      // glTF (and every LOD mode) keeps its own loader, other formats are detected
+      const format = options.format || (isFileInput(url) ? formatFromInput(url, options) : formatFromUrl(url));
+      const load = options.lod || format === 'gltf' ? loadGLTF : loadModelFile;
+      const result = await load(url, {
+        renderer: this.getRenderer(),
+        ...options,
+        decoders: Helpers.mergeDeep({}, this.options.decoders, options.decoders || {}),
+        retry: this.getRetryPolicy(options.retry),
+      });
       
+      // The same URL may be loaded several times, each as its own instance
+      const key = options.key || (this.modelManager.getModel(name) ? `${name}#${result.model.uuid}` : name);
+
       this.sceneManager.addObject(result.model);
-      this.modelManager.addModel(url, result.model);
+      this.modelManager.addModel(key, result.model);
       
       // Handle animations
-      if (result.animations.length > 0) {
+      if (result.animations?.length > 0) {
         const mixer = createAnimationMixer(result.model, result.animations, this.options.animation);
         if (mixer) {
           this.animationMixers.push(mixer);
@@ -116,10 +157,14 @@ export class FlowJS {
         this.cameraManager.setActiveCamera('imported');
       }
       
-      logger.info(`Model loaded successfully: ${url}`);
+      logger.info(`Model loaded successfully: ${name}`);
       return result.model;
     } catch (error) {
-      logger.error(`Failed to load model: ${url}`, error);
+      if (isAbortError(error)) {
+        logger.info(`Load aborted: ${name}`);
+      } else {
+        logger.error(`Failed to load model: ${name}`, error);
+      }
       throw error;
     }
   }
@@ -128,18 +173,27 @@ export class FlowJS {
    * Load HDRI environment
    */
   async loadHDRI(url, options = {}) {
+    const name = getSourceName(url, options.name);
     try {
-      logger.info(`Loading HDRI: ${url}`);
-      const texture = await loadHDRI(url, this.getScene(), options);
-      this.environmentManager.addEnvironment(url, {
-        type: 'hdri',
-        texture,
-        options,
+      logger.info(`Loading HDRI: ${name}`);
+      const environment = await loadHDRIEnvironment(url, {
+        renderer: this.getRenderer(),
+        ...options,
+        retry: this.getRetryPolicy(options.retry),
       });
-      logger.info(`HDRI loaded successfully: ${url}`);
-      return texture;
+      this.environmentManager.addEnvironment(name, { ...environment, options });
+      this.environmentManager.switchEnvironment(this.getScene(), name);
+
+      if (options.onLoad) options.onLoad(environment.texture);
+      logger.info(`HDRI loaded successfully: ${name}`);
+      return environment.texture;
     } catch (error) {
-      logger.error(`Failed to load HDRI: ${url}`, error);
+      if (options.onError) options.onError(error);
+      if (isAbortError(error)) {
+        logger.info(`Load aborted: ${name}`);
+      } else {
+        logger.error(`Failed to load HDRI: ${name}`, error);
+      }
       throw error;
     }
   }
@@ -148,17 +202,58 @@ export class FlowJS {
    * Load texture
    */
   async loadTexture(url, options = {}) {
+    const validation = Validator.validateTextureOptions(options);
+    if (validation.length > 0) {
+      throw new Error(`Texture validation failed: ${validation.join(', ')}`);
+    }
+
+    const name = getSourceName(url, options.name);
     try {
-      logger.info(`Loading texture: ${url}`);
-      const texture = await loadTexture(url, options);
-      logger.info(`Texture loaded successfully: ${url}`);
+      logger.info(`Loading texture: ${name}`);
+      const texture = await loadTexture(url, {
+        renderer: this.getRenderer(),
+        ...options,
+        decoders: Helpers.mergeDeep({}, this.options.decoders, options.decoders || {}),
+        retry: this.getRetryPolicy(options.retry),
+      });
+
+      // Disposed (or released to the cache) with the ResourceManager
+      const key = options.key || (this.resourceManager.getResource(name) ? `${name}#${texture.uuid}` : name);
+      this.resourceManager.addResource(key, texture);
+      logger.info(`Texture loaded successfully: ${name}`);
       return texture;
     } catch (error) {
-      logger.error(`Failed to load texture: ${url}`, error);
+      if (isAbortError(error)) {
+        logger.info(`Load aborted: ${name}`);
+      } else {
+        logger.error(`Failed to load texture: ${name}`, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Load a manifest of models, HDRIs and textures, a few at a time.
+   * Resolves with a Map of asset key to the loaded model or texture. On
+   * failure the error's `results` Map holds the assets already loaded.
+   */
+  async preload(manifest, options = {}) {
+    const validation = Validator.validatePreloadManifest(manifest);
+    if (validation.length > 0) {
+      throw new Error(`Preload validation failed: ${validation.join(', ')}`);
+    }
+
+    const count = (Array.isArray(manifest) ? manifest : manifest.assets).length;
+    logger.info(`Preloading ${count} assets`);
+    const results = await preloadAssets(manifest, {
+      model: (url, assetOptions) => this.loadModel(url, assetOptions),
+      hdri: (url, assetOptions) => this.loadHDRI(url, assetOptions),
+      texture: (url, assetOptions) => this.loadTexture(url, assetOptions),
+    }, options);
+    logger.info(`Preloaded ${results.size} of ${count} assets`);
+    return results;
+  }
+
   /**
    * Add light to scene
    */
@@ -331,6 +426,9 @@ export class FlowJS {
         }
       });
 
+      // Switch LOD levels
+      updateManager.update(this.getCamera(), this.getRenderer());
+
       // Render scene
       this.renderer.render(this.getScene(), this.getCamera());
     };
@@ -410,9 +508,33 @@ export {
   SceneManager,
   Renderer,
   ResourceManager,
+  AssetCache,
+  assetCache,
+  PersistentCache,
+  persistentCache,
   loadGLTF,
+  loadModelFile,
+  MODEL_FORMATS,
+  detectFormat,
+  isFileInput,
+  createFileSource,
   loadHDRI,
+  loadHDRIEnvironment,
   loadTexture,
+  updateManager,
+  FetchScheduler,
+  fetchScheduler,
+  loadGLTFInWorker,
+  preloadAssets,
+  ASSET_TYPES,
+  loaderEvents,
+  LoaderEvent,
+  LOADER_EVENTS,
+  disposeWorker,
+  configureGLTFLoader,
+  disposeDecoders,
+  verifyIntegrity,
+  computeDigest,
   
   // Modules
   ModelManager,
@@ -442,6 +564,12 @@ export {
   Validator,
   ValidationRules,
   Helpers,
+  LoadError,
+  LoadAbortError,
+  LoadTimeoutError,
+  LoadRetryError,
+  IntegrityError,
+  isAbortError,
   
   // Three.js
   THREE,
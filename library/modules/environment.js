@@ -33,28 +33,40 @@ export class EnvironmentManager {
   }
 
   /**
-   * Set HDRI environment
+   * Set HDRI environment. `options.background` is shown instead of
+   * `texture` when given, e.g. the sharp panorama behind a prefiltered map.
    */
   setHDRIEnvironment(scene, texture, options = {}) {
     const {
       mapping = THREE.EquirectangularReflectionMapping,
       setAsBackground = true,
       setAsEnvironment = true,
+      background = texture,
+      backgroundBlurriness = 0,
+      backgroundIntensity = 1,
+      environmentIntensity = 1,
     } = options;
 
-    texture.mapping = mapping;
+    // PMREM output keeps its own cube UV mapping
+    for (const map of [texture, background]) {
+      if (map.mapping !== THREE.CubeUVReflectionMapping) map.mapping = mapping;
+    }
 
     if (setAsEnvironment) {
       scene.environment = texture;
+      scene.environmentIntensity = environmentIntensity;
     }
 
     if (setAsBackground) {
-      scene.background = texture;
+      scene.background = background;
+      scene.backgroundBlurriness = backgroundBlurriness;
+      scene.backgroundIntensity = backgroundIntensity;
     }
 
     this.currentEnvironment = {
       type: 'hdri',
       texture,
+      background,
       options,
     };
   }
@@ -77,6 +89,11 @@ export class EnvironmentManager {
    * Add environment to manager
    */
   addEnvironment(key, environment) {
+    // Reloading a key frees the textures it replaces
+    const previous = this.environments.get(key);
+    if (previous && previous !== environment) {
+      this.removeEnvironment(key);
+    }
     this.environments.set(key, environment);
   }
 
@@ -95,6 +112,9 @@ export class EnvironmentManager {
     if (environment && environment.dispose) {
       environment.dispose();
     }
+    if (environment && this.currentEnvironment?.texture === environment.texture) {
+      this.currentEnvironment = null;
+    }
     this.environments.delete(key);
   }
 
@@ -110,7 +130,10 @@ export class EnvironmentManager {
 
     // Apply environment based on type
     if (environment.type === 'hdri') {
-      this.setHDRIEnvironment(scene, environment.texture, environment.options);
+      this.setHDRIEnvironment(scene, environment.texture, {
+        ...environment.options,
+        background: environment.background || environment.texture,
+      });
     } else if (environment.type === 'skybox') {
       scene.background = environment.texture;
     }
@@ -23,11 +23,18 @@ export class ModelManager {
   }
 
   /**
-   * Remove a model
+   * Remove a model. Cached models are released back to the asset cache,
+   * which disposes shared resources once their last user is gone.
    */
   removeModel(key) {
     const model = this.models.get(key);
-    if (model) {
+    // Stops background work such as progressive LOD fetches
+    if (model && model.userData.dispose) {
+      model.userData.dispose();
+    }
+    if (model && model.userData.release) {
+      model.userData.release();
+    } else if (model) {
       // Dispose of model resources
       model.traverse((child) => {
         if (child.geometry) {
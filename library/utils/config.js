@@ -42,6 +42,96 @@ export const Config = {
     timeScale: 1,
   },
 
+  // Decoders for compressed assets. A null path uses the CDN build
+  // matching the installed three.js revision.
+  decoders: {
+    draco: {
+      enabled: true,
+      decoderPath: null,
+      decoderType: null, // 'js', 'wasm'
+      workerLimit: 4,
+    },
+    meshopt: {
+      enabled: true,
+    },
+    ktx2: {
+      enabled: true,
+      transcoderPath: null,
+      workerLimit: 4,
+    },
+  },
+
+  // Asset cache: repeated loads of a URL share one download and the
+  // same geometry, materials and textures
+  cache: {
+    enabled: true,
+  },
+
+  // Persistent cache: fetched bytes kept in IndexedDB across page loads.
+  // revalidate: 'never' serves stored bytes as is, 'background' serves them
+  // and refreshes the entry for next time, 'always' asks the server first
+  // (ETag / Last-Modified) and falls back to the stored bytes when offline.
+  persistentCache: {
+    enabled: false,
+    name: 'flowjs-assets', // IndexedDB database name
+    quota: 512 * 1024 * 1024, // Bytes, least recently used entries are evicted past it
+    revalidate: 'never', // 'never', 'background', 'always'
+    maxAge: 0, // Entries older than this (ms) are revalidated before use, 0 disables
+    version: null, // String or (url) => string, part of the cache key
+  },
+
+  // Network policy for asset fetches. fallbackUrls is an array of URLs
+  // or a function (url) => [urls], e.g. to fall back from a CDN to origin.
+  retry: {
+    retries: 2,
+    delay: 500, // First backoff (ms), doubled on every retry
+    maxDelay: 8000,
+    timeout: 30000, // Idle time (ms) waiting for the headers or the next chunk, 0 disables
+    fallbackUrls: [],
+  },
+
+  // LOD switching. 'distance' uses each level's switch distance,
+  // 'screenSpaceError' projects each level's simplification error to
+  // pixels and picks the coarsest level under maxPixelError.
+  lod: {
+    selection: 'distance', // 'distance', 'screenSpaceError'
+    maxPixelError: 1,
+    viewportHeight: null, // Used when update() gets no renderer, defaults to window.innerHeight
+    hysteresis: 0.1, // Default band per level, as a fraction of its distance or pixel error
+    fadeDuration: 0, // Cross-fade between levels (ms), 0 swaps instantly
+    fadeMode: 'dither', // 'dither', 'opacity'
+    // Scene-wide limits for the LODs in view, 0 disables. Smallest on
+    // screen are degraded first.
+    budget: {
+      triangles: 0,
+      drawCalls: 0,
+    },
+    // Unload file-based levels not shown for unusedFor ms, or the least
+    // recently shown while loaded levels exceed maxBytes. 0 disables.
+    eviction: {
+      unusedFor: 0,
+      maxBytes: 0,
+    },
+  },
+
+  // Load glTF in a Web Worker (fetch, decode, simplify) and only build
+  // meshes on the main thread. url overrides the bundled worker script.
+  worker: {
+    enabled: false,
+    url: null,
+  },
+
+  // Background LOD fetches share one queue. Models in view and close to
+  // the camera are fetched first.
+  scheduler: {
+    concurrency: 4,
+  },
+
+  // FlowJS.preload(): assets loaded at once
+  preload: {
+    concurrency: 4,
+  },
+
   // Performance settings
   performance: {
     maxFPS: 60,
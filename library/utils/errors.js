@@ -0,0 +1,92 @@
+/**
+ * Error types for the FlowJS library
+ */
+
+/**
+ * Base class of every load failure. `url` is the asset, `stage` the step
+ * that failed ('fetch', 'verify', 'detect', 'parse', 'decode', 'manifest',
+ * 'simplify' or 'abort') and `cause` the underlying error.
+ */
+export class LoadError extends Error {
+  constructor(message, { url = null, stage = null, cause = undefined } = {}) {
+    super(message, cause === undefined ? undefined : { cause });
+    this.name = 'LoadError';
+    this.url = url;
+    this.stage = stage;
+  }
+}
+
+/**
+ * Raised when a load is cancelled through its AbortSignal.
+ * The name matches the DOM AbortError so existing checks keep working.
+ */
+export class LoadAbortError extends LoadError {
+  constructor(url = null, reason = undefined) {
+    super(url ? `Load aborted: ${url}` : 'Load aborted', { url, stage: 'abort' });
+    this.name = 'AbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Check if an error comes from an aborted load or fetch
+ */
+export function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Raised when a single request gets no headers or body data for `timeout` ms
+ */
+export class LoadTimeoutError extends LoadError {
+  constructor(url, timeout) {
+    super(`Request timed out, no data for ${timeout}ms: ${url}`, { url, stage: 'fetch' });
+    this.name = 'LoadTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when every attempt of a retried load failed.
+ * `attempts` lists each URL tried, the attempt number and its error.
+ */
+export class LoadRetryError extends LoadError {
+  constructor(url, attempts) {
+    const summary = attempts
+      .map(({ url, attempt, error }) => `  ${url} (attempt ${attempt}): ${error.message}`)
+      .join('\n');
+    super(`Failed to load ${url} after ${attempts.length} attempt(s):\n${summary}`, {
+      url,
+      stage: 'fetch',
+      cause: attempts[attempts.length - 1]?.error,
+    });
+    this.name = 'LoadRetryError';
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Raised when fetched bytes don't match the expected integrity digest
+ * (`sha256-<base64>`, `sha384-...` or `sha512-...`). Never retried.
+ */
+export class IntegrityError extends LoadError {
+  constructor(url, expected, actual) {
+    super(`Integrity check failed for ${url}: expected ${expected}, got ${actual}`, { url, stage: 'verify' });
+    this.name = 'IntegrityError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Run one stage of a load, turning a plain exception into a LoadError
+ * that names the URL and stage. LoadErrors and aborts pass through.
+ */
+export async function runStage(stage, url, run) {
+  try {
+    return await run();
+  } catch (error) {
+    if (error instanceof LoadError || isAbortError(error)) throw error;
+    throw new LoadError(`Failed to load ${url} (${stage}): ${error?.message ?? error}`, { url, stage, cause: error });
+  }
+}
@@ -300,6 +300,26 @@ export class Helpers {
     };
   }
 
+  /**
+   * Dispose geometries, materials and material textures of an object tree
+   */
+  static disposeObject(object) {
+    object.traverse((child) => {
+      if (child.geometry) {
+        child.geometry.dispose();
+      }
+      if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material) => {
+          Object.values(material).forEach((value) => {
+            if (value && value.isTexture) value.dispose();
+          });
+          material.dispose();
+        });
+      }
+    });
+  }
+
   /**
    * Center object at origin
    */
@@ -1,4 +1,9 @@
 import * as THREE from "three";
+import { getSourceName } from "../core/fileSource.js";
+
+const isIntegrity = (value) =>
+  (typeof value === 'string' && value.trim() !== '')
+  || (Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string'));
 
 /**
  * Validation utilities for the FlowJS library
@@ -114,6 +119,147 @@ export class Validator {
       }
     }
 
+    if (options.lod !== undefined) {
+      if (typeof options.lod !== 'boolean' && (typeof options.lod !== 'string' || options.lod.trim() === '')) {
+        errors.push("Model lod must be a boolean, 'generate' or a LOD manifest URL");
+      }
+    }
+
+    if (options.lodGranularity !== undefined) {
+      if (!['scene', 'node', 'mesh'].includes(options.lodGranularity)) {
+        errors.push("Model lodGranularity must be 'scene', 'node' or 'mesh'");
+      }
+    }
+
+    if (options.lodMatch !== undefined) {
+      if (!['name', 'path'].includes(options.lodMatch)) {
+        errors.push("Model lodMatch must be 'name' or 'path'");
+      }
+    }
+
+    if (options.format !== undefined) {
+      if (!['gltf', 'obj', 'fbx', 'stl', 'ply', '3mf'].includes(options.format)) {
+        errors.push("Model format must be 'gltf', 'obj', 'fbx', 'stl', 'ply' or '3mf'");
+      }
+    }
+
+    if (options.worker !== undefined) {
+      if (typeof options.worker !== 'boolean') {
+        errors.push('Model worker must be a boolean');
+      }
+    }
+
+    if (options.lodLevels !== undefined) {
+      if (!Array.isArray(options.lodLevels) || options.lodLevels.length === 0) {
+        errors.push('Model lodLevels must be a non-empty array');
+      } else if (!options.lodLevels.every(level => typeof level.distance === 'number')) {
+        errors.push('Model lodLevels entries must have a numeric distance');
+      } else if (!options.lodLevels.every(level => level.ratio === undefined || (level.ratio > 0 && level.ratio <= 1))) {
+        errors.push('Model lodLevels ratio must be a number between 0 and 1');
+      } else if (!options.lodLevels.every(level => level.error === undefined || (typeof level.error === 'number' && level.error >= 0))) {
+        errors.push('Model lodLevels error must be a non-negative number');
+      } else if (!options.lodLevels.every(level => level.hysteresis === undefined || (level.hysteresis >= 0 && level.hysteresis < 1))) {
+        errors.push('Model lodLevels hysteresis must be a number between 0 and 1');
+      }
+    }
+
+    if (options.integrity !== undefined && !isIntegrity(options.integrity)) {
+      errors.push('Model integrity must be an SRI string or an array of them');
+    }
+
+    if (options.persist !== undefined && typeof options.persist !== 'boolean'
+      && (options.persist === null || typeof options.persist !== 'object')) {
+      errors.push('Model persist must be a boolean or an object');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate texture options
+   */
+  static validateTextureOptions(options) {
+    const errors = [];
+
+    for (const name of ['repeat', 'offset', 'center']) {
+      if (options[name] !== undefined) {
+        if (!Array.isArray(options[name]) || options[name].length !== 2 || !options[name].every(n => typeof n === 'number')) {
+          errors.push(`Texture ${name} must be an array of 2 numbers`);
+        }
+      }
+    }
+
+    for (const name of ['wrap', 'wrapS', 'wrapT']) {
+      if (options[name] !== undefined) {
+        if (typeof options[name] !== 'number' && !['repeat', 'clamp', 'mirror'].includes(options[name])) {
+          errors.push(`Texture ${name} must be 'repeat', 'clamp', 'mirror' or a three.js wrapping constant`);
+        }
+      }
+    }
+
+    if (options.anisotropy !== undefined) {
+      if (options.anisotropy !== 'max' && (typeof options.anisotropy !== 'number' || options.anisotropy < 1)) {
+        errors.push("Texture anisotropy must be a number of at least 1 or 'max'");
+      }
+    }
+
+    if (options.format !== undefined) {
+      if (!['image', 'ktx2'].includes(options.format)) {
+        errors.push("Texture format must be 'image' or 'ktx2'");
+      }
+    }
+
+    for (const name of ['flipY', 'generateMipmaps', 'imageBitmap']) {
+      if (options[name] !== undefined && typeof options[name] !== 'boolean') {
+        errors.push(`Texture ${name} must be a boolean`);
+      }
+    }
+
+    if (options.integrity !== undefined && !isIntegrity(options.integrity)) {
+      errors.push('Texture integrity must be an SRI string or an array of them');
+    }
+
+    if (options.persist !== undefined && typeof options.persist !== 'boolean'
+      && (options.persist === null || typeof options.persist !== 'object')) {
+      errors.push('Texture persist must be a boolean or an object');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a preload manifest (an array of assets or { assets })
+   */
+  static validatePreloadManifest(manifest) {
+    const errors = [];
+    const assets = Array.isArray(manifest) ? manifest : manifest?.assets;
+
+    if (!Array.isArray(assets)) {
+      errors.push('Preload manifest must be an array of assets or { assets: [...] }');
+      return errors;
+    }
+
+    const keys = new Set();
+    assets.forEach((asset, i) => {
+      if (!['model', 'hdri', 'texture'].includes(asset?.type)) {
+        errors.push(`Preload asset ${i} type must be 'model', 'hdri' or 'texture'`);
+      }
+      if (!Validator.validateSource(asset?.url)) {
+        errors.push(`Preload asset ${i} url must be a non-empty string, a File, Blob, ArrayBuffer or FileList`);
+        return;
+      }
+      if (asset.size !== undefined && (typeof asset.size !== 'number' || asset.size < 0)) {
+        errors.push(`Preload asset ${i} size must be a non-negative number`);
+      }
+
+      // Keyed as preloadAssets keys them, so dropped files are told apart by name
+      const key = asset.key || getSourceName(asset.url);
+      if (keys.has(key)) {
+        errors.push(`Preload asset key "${key}" is used more than once`);
+      }
+      keys.add(key);
+    });
+
     return errors;
   }
 
@@ -196,6 +342,21 @@ export class Validator {
     }
   }
 
+  /**
+   * Validate an asset source: a URL string, or a File, Blob, ArrayBuffer
+   * or FileList (see fileSource.js)
+   */
+  static validateSource(source) {
+    if (typeof source === 'string') {
+      return source.trim() !== '';
+    }
+    return (typeof Blob !== 'undefined' && source instanceof Blob)
+      || source instanceof ArrayBuffer
+      || ArrayBuffer.isView(source)
+      || (typeof FileList !== 'undefined' && source instanceof FileList)
+      || (Array.isArray(source) && source.length > 0 && source.every(file => typeof Blob !== 'undefined' && file instanceof Blob));
+  }
+
   /**
    * Validate Three.js object
    */
@@ -309,6 +470,10 @@ export const ValidationRules = {
     type: 'string',
     validate: Validator.validateURL,
   },
+
+  source: {
+    validate: Validator.validateSource,
+  },
   
   percentage: {
     type: 'number',